@@ -0,0 +1,300 @@
+// plugins/bibtexParser.js
+// Minimal BibTeX parser used at build time to turn a reference-manager export
+// (Zotero, JabRef, ...) into the publication objects rendered by the site.
+import { formatGivenNames } from "../src/utils/authors.js";
+
+/**
+ * Error raised for malformed BibTeX input. Carries the entry key (when known)
+ * so build failures point straight at the offending reference.
+ */
+export class BibTeXError extends Error {
+  /**
+   * @param {string} message - Description of the problem.
+   * @param {object} [details] - Extra context.
+   * @param {string} [details.key] - Citation key of the offending entry.
+   * @param {number} [details.line] - 1-based line number in the source file.
+   */
+  constructor(message, { key, line } = {}) {
+    const where = [key && `entry "${key}"`, line && `line ${line}`]
+      .filter(Boolean)
+      .join(", ");
+    super(where ? `${message} (${where})` : message);
+    this.name = "BibTeXError";
+    this.key = key;
+    this.line = line;
+  }
+}
+
+// Month macros predefined by BibTeX.
+const MONTH_MACROS = {
+  jan: "1", feb: "2", mar: "3", apr: "4", may: "5", jun: "6",
+  jul: "7", aug: "8", sep: "9", oct: "10", nov: "11", dec: "12",
+};
+
+/**
+ * Parses BibTeX source into raw entries.
+ * @param {string} source - Contents of a .bib file.
+ * @returns {{ type: string, key: string, fields: Object<string, string>, line: number }[]}
+ *   Entries in file order. Field names are lower-cased, values keep their LaTeX.
+ * @throws {BibTeXError} When the source cannot be parsed.
+ */
+export const parseBibTeX = (source) => {
+  const entries = [];
+  const macros = { ...MONTH_MACROS };
+  let pos = 0;
+  let currentKey;
+
+  const lineAt = (index) => source.slice(0, index).split("\n").length;
+  const fail = (message) =>
+    new BibTeXError(message, { key: currentKey, line: lineAt(pos) });
+
+  const skipWhitespace = () => {
+    while (pos < source.length) {
+      if (/\s/.test(source[pos])) {
+        pos++;
+      } else if (source[pos] === "%") {
+        // Line comments are a common (if unofficial) convention in .bib files.
+        while (pos < source.length && source[pos] !== "\n") pos++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readIdentifier = () => {
+    const match = /^[^\s"#%'(),={}]+/.exec(source.slice(pos));
+    if (!match) throw fail("Expected an identifier");
+    pos += match[0].length;
+    return match[0];
+  };
+
+  // Reads a {...} group, returning its content with inner braces preserved.
+  const readBraced = () => {
+    const start = ++pos;
+    let depth = 1;
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === "\\") {
+        pos += 2;
+        continue;
+      }
+      if (char === "{") depth++;
+      if (char === "}" && --depth === 0) {
+        return source.slice(start, pos++);
+      }
+      pos++;
+    }
+    throw fail("Unbalanced braces");
+  };
+
+  // Reads a "..." string; quotes inside braces do not terminate it.
+  const readQuoted = () => {
+    const start = ++pos;
+    let depth = 0;
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === "\\") {
+        pos += 2;
+        continue;
+      }
+      if (char === "{") depth++;
+      if (char === "}") depth--;
+      if (char === '"' && depth === 0) {
+        return source.slice(start, pos++);
+      }
+      pos++;
+    }
+    throw fail("Unterminated quoted value");
+  };
+
+  // A value is one or more pieces joined with '#'.
+  const readValue = () => {
+    const parts = [];
+    for (;;) {
+      skipWhitespace();
+      const char = source[pos];
+      if (char === "{") {
+        parts.push(readBraced());
+      } else if (char === '"') {
+        parts.push(readQuoted());
+      } else if (/\d/.test(char)) {
+        parts.push(/^\d+/.exec(source.slice(pos))[0]);
+        pos += parts[parts.length - 1].length;
+      } else {
+        const name = readIdentifier().toLowerCase();
+        if (!(name in macros)) throw fail(`Undefined macro "${name}"`);
+        parts.push(macros[name]);
+      }
+      skipWhitespace();
+      if (source[pos] !== "#") return parts.join("");
+      pos++;
+    }
+  };
+
+  const expect = (char) => {
+    skipWhitespace();
+    if (source[pos] !== char) {
+      throw fail(`Expected "${char}" but found "${source[pos] ?? "end of file"}"`);
+    }
+    pos++;
+  };
+
+  while (pos < source.length) {
+    // Anything outside an @entry is treated as a comment by BibTeX.
+    const at = source.indexOf("@", pos);
+    if (at === -1) break;
+    pos = at + 1;
+    currentKey = undefined;
+    const line = lineAt(at);
+
+    const type = readIdentifier().toLowerCase();
+    skipWhitespace();
+    const open = source[pos];
+    if (open !== "{" && open !== "(") throw fail(`Expected "{" after @${type}`);
+    const close = open === "{" ? "}" : ")";
+
+    if (type === "comment") {
+      if (open === "{") readBraced();
+      continue;
+    }
+    pos++;
+
+    if (type === "preamble") {
+      readValue();
+      expect(close);
+      continue;
+    }
+
+    if (type === "string") {
+      skipWhitespace();
+      const name = readIdentifier().toLowerCase();
+      expect("=");
+      macros[name] = readValue();
+      expect(close);
+      continue;
+    }
+
+    skipWhitespace();
+    currentKey = readIdentifier();
+    const fields = {};
+
+    for (;;) {
+      skipWhitespace();
+      if (source[pos] === close) {
+        pos++;
+        break;
+      }
+      expect(",");
+      skipWhitespace();
+      // Trailing comma before the closing delimiter is allowed.
+      if (source[pos] === close) {
+        pos++;
+        break;
+      }
+      const name = readIdentifier().toLowerCase();
+      expect("=");
+      if (name in fields) throw fail(`Duplicate field "${name}"`);
+      fields[name] = readValue().trim();
+    }
+
+    if (entries.some((entry) => entry.key === currentKey)) {
+      throw new BibTeXError("Duplicate citation key", { key: currentKey, line });
+    }
+    entries.push({ type, key: currentKey, fields, line });
+  }
+
+  return entries;
+};
+
+// Accent commands mapped to Unicode combining characters.
+const ACCENTS = {
+  "'": "́", "`": "̀", "^": "̂", '"': "̈", "~": "̃",
+  "=": "̄", ".": "̇", u: "̆", v: "̌", H: "̋",
+  c: "̧", k: "̨", r: "̊",
+};
+
+// Argument-less commands for special letters.
+const SYMBOLS = {
+  ss: "ß", ae: "æ", AE: "Æ", oe: "œ", OE: "Œ", aa: "å", AA: "Å",
+  o: "ø", O: "Ø", l: "ł", L: "Ł", i: "ı", j: "ȷ", "&": "&", "%": "%",
+  $: "$", _: "_", "#": "#",
+};
+
+/**
+ * Converts the LaTeX commonly found in BibTeX fields to plain Unicode text.
+ * Handles accents, special letters, dashes and protective braces.
+ * @param {string} value - Raw field value.
+ * @returns {string} Plain text.
+ */
+export const latexToUnicode = (value) =>
+  value
+    // Inline math keeps its text only: H$_2$O -> H2O
+    .replace(/\$([^$]*)\$/g, (_, math) => math.replace(/[_^{}]/g, ""))
+    // Accents: \'e, \'{e}, {\'e}, \c{c}, \v c
+    .replace(
+      /\\(?:([`'^"~=.])\s*|([uvHckr])(?=[\s{]))\s*(?:\{\s*(\\?[A-Za-z])\s*\}|(\\?[A-Za-z]))/g,
+      (_, symbolAccent, letterAccent, braced, bare) => {
+        const letter = (braced || bare).replace("\\", "");
+        return (letter + ACCENTS[symbolAccent || letterAccent]).normalize("NFC");
+      },
+    )
+    .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i|j)(?![A-Za-z])\s?/g, (_, name) => SYMBOLS[name])
+    .replace(/\\([&%$_#])/g, (_, char) => SYMBOLS[char])
+    .replace(/\\textemdash\b\s?|---/g, "—")
+    .replace(/\\textendash\b\s?|--/g, "–")
+    .replace(/~/g, " ")
+    // Formatting commands keep their argument: \emph{x} -> x
+    .replace(/\\(?:emph|textit|textbf|textrm|textsc|mathrm|text)\s*/g, "")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Splits on a separator word/character only at brace depth zero.
+const splitTopLevel = (value, separator) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === "{") depth++;
+    else if (char === "}") depth--;
+    else if (depth === 0 && value.slice(i).match(separator)?.index === 0) {
+      parts.push(value.slice(start, i));
+      i += value.slice(i).match(separator)[0].length - 1;
+      start = i + 1;
+    }
+  }
+  parts.push(value.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+};
+
+/**
+ * Splits a BibTeX author field into structured names.
+ * Supports "Last, First", "Last, Jr, First" and "First von Last" forms.
+ * @param {string} value - Raw author field.
+ * @returns {{ given: string, family: string }[]} Ordered list of names.
+ */
+export const parseNames = (value) =>
+  splitTopLevel(value, /^\s+and\s+/i).map((name) => {
+    const parts = splitTopLevel(name, /^,/);
+    let given;
+    let family;
+    if (parts.length === 1) {
+      // "First von Last": the family name starts at the first lower-case
+      // word (the "von" part) or is the last word.
+      const words = splitTopLevel(parts[0], /^\s+/);
+      const vonIndex = words.findIndex(
+        (word, i) => i > 0 && i < words.length - 1 && /^[a-z]/.test(word),
+      );
+      const familyStart = vonIndex === -1 ? words.length - 1 : vonIndex;
+      given = words.slice(0, familyStart).join(" ");
+      family = words.slice(familyStart).join(" ");
+    } else {
+      family = parts.length === 3 ? `${parts[0]}, ${parts[1]}` : parts[0];
+      given = parts[parts.length - 1];
+    }
+    return {
+      given: formatGivenNames(latexToUnicode(given)),
+      family: latexToUnicode(family),
+    };
+  });
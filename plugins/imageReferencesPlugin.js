@@ -0,0 +1,75 @@
+// plugins/imageReferencesPlugin.js
+// Vite plugin checking that the image names used in data files exist in
+// src/assets. Images are looked up by name at runtime, so without this a typo
+// only shows up as "Image unavailable" on the page.
+import { readdirSync } from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+/**
+ * Finds image names that have no file in the assets folder.
+ * @param {string} root - Project root.
+ * @param {string} assetsDir - Assets folder, relative to the root.
+ * @param {Object<string, function(*): string[]>} references - Collectors by data file.
+ * @returns {Promise<string[]>} One message per unknown name.
+ */
+const findUnknownImages = async (root, assetsDir, references) => {
+  const available = new Set(
+    readdirSync(path.resolve(root, assetsDir))
+      .filter((file) => file.endsWith(".png"))
+      .map((file) => path.basename(file, ".png")),
+  );
+  const problems = [];
+
+  for (const [file, collect] of Object.entries(references)) {
+    // The query bypasses Node's module cache so edits are picked up in dev.
+    const url = `${pathToFileURL(path.resolve(root, file)).href}?t=${Date.now()}`;
+    const { default: data } = await import(url);
+    for (const imageName of new Set(collect(data))) {
+      if (!available.has(imageName)) {
+        problems.push(`${file}: unknown image "${imageName}" (no ${assetsDir}/${imageName}.png)`);
+      }
+    }
+  }
+  return problems;
+};
+
+/**
+ * Vite plugin failing the build when a data file references a missing image.
+ * In development the check re-runs when a data file changes and reports
+ * problems in the error overlay.
+ * @param {object} options - Plugin options.
+ * @param {string} [options.assetsDir="src/assets"] - Folder holding the images.
+ * @param {Object<string, function(*): string[]>} options.references - Data files
+ *   (relative to the root) mapped to a function returning the image names in
+ *   their default export.
+ * @returns {import('vite').Plugin}
+ */
+export default function imageReferencesPlugin({ assetsDir = "src/assets", references }) {
+  let root;
+
+  return {
+    name: "image-references",
+    configResolved(config) {
+      root = config.root;
+    },
+    async buildStart() {
+      for (const file of Object.keys(references)) {
+        this.addWatchFile(path.resolve(root, file));
+      }
+      const problems = await findUnknownImages(root, assetsDir, references);
+      if (problems.length > 0) this.error(problems.join("\n"));
+    },
+    async handleHotUpdate({ file, server }) {
+      const isDataFile = Object.keys(references).some((reference) => path.resolve(root, reference) === file);
+      if (!isDataFile) return;
+      const problems = await findUnknownImages(root, assetsDir, references);
+      if (problems.length > 0) {
+        server.ws.send({
+          type: "error",
+          err: { message: problems.join("\n"), stack: "", plugin: "image-references" },
+        });
+      }
+    },
+  };
+}
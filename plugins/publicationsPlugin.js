@@ -0,0 +1,129 @@
+// plugins/publicationsPlugin.js
+// Vite plugin exposing the BibTeX bibliography as `virtual:publications`.
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { BibTeXError, latexToUnicode, parseBibTeX, parseNames } from "./bibtexParser.js";
+
+const VIRTUAL_ID = "virtual:publications";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+// Fields every entry must provide, per entry type. The venue is read from
+// `journal` for articles and `booktitle` for proceedings/chapters.
+const VENUE_FIELD = {
+  article: "journal",
+  inproceedings: "booktitle",
+  incollection: "booktitle",
+  conference: "booktitle",
+};
+
+/**
+ * Joins display names as "A, B and C".
+ * @param {string[]} names - Formatted names.
+ * @returns {string}
+ */
+const joinNames = (names) =>
+  names.length > 1
+    ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`
+    : names.join("");
+
+/**
+ * Converts a raw BibTeX entry into the object consumed by PublicationItem.
+ * @param {{ type: string, key: string, fields: Object<string, string>, line: number }} entry
+ * @returns {object} Publication data.
+ * @throws {BibTeXError} When a required field is missing or invalid.
+ */
+export const toPublication = ({ type, key, fields, line }) => {
+  const venueField = VENUE_FIELD[type];
+  if (!venueField) {
+    throw new BibTeXError(`Unsupported entry type "@${type}"`, { key, line });
+  }
+  for (const field of ["title", "author", "year", venueField]) {
+    if (!fields[field]) {
+      throw new BibTeXError(`Missing required field "${field}"`, { key, line });
+    }
+  }
+  if (!/^\d{4}$/.test(fields.year)) {
+    throw new BibTeXError(`Invalid year "${fields.year}"`, { key, line });
+  }
+  if (!fields.doi && !fields.url) {
+    throw new BibTeXError('Entry needs a "doi" or "url" to link to', { key, line });
+  }
+
+  // Zotero sometimes exports the DOI as a full resolver URL.
+  const doi = fields.doi?.replace(/^https?:\/\/(dx\.)?doi\.org\//i, "");
+  if (doi && !/^10\.\d{4,}\/\S+$/.test(doi)) {
+    throw new BibTeXError(`Invalid DOI "${fields.doi}"`, { key, line });
+  }
+
+  // Detail pages live at #publications/<slug>; an explicit `slug` field wins.
+  const slug = (fields.slug || key).toLowerCase();
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(slug)) {
+    throw new BibTeXError(`Invalid slug "${slug}" (use letters, digits and dashes)`, { key, line });
+  }
+
+  const authorList = parseNames(fields.author);
+  const optional = (field) => (fields[field] ? latexToUnicode(fields[field]) : undefined);
+
+  return {
+    id: key,
+    key,
+    slug,
+    entryType: type,
+    title: latexToUnicode(fields.title),
+    authors: joinNames(authorList.map(({ given, family }) => [given, family].filter(Boolean).join(" "))),
+    authorList,
+    journal: latexToUnicode(fields[venueField]),
+    year: fields.year,
+    doi,
+    link: doi ? `https://doi.org/${doi}` : fields.url,
+    note: optional("note"),
+    abstract: optional("abstract"),
+    publisher: optional("publisher"),
+    volume: optional("volume"),
+    number: optional("number"),
+    pages: optional("pages"),
+    month: fields.month,
+  };
+};
+
+/**
+ * Vite plugin that parses a .bib file into `virtual:publications`.
+ * Any malformed entry fails the build with a message naming the entry key.
+ * @param {object} [options] - Plugin options.
+ * @param {string} [options.file="src/data/publications.bib"] - Path to the bibliography, relative to the project root.
+ * @returns {import('vite').Plugin}
+ */
+export default function publicationsPlugin({ file = "src/data/publications.bib" } = {}) {
+  let bibPath;
+
+  return {
+    name: "publications-bibtex",
+    configResolved(config) {
+      bibPath = path.resolve(config.root, file);
+    },
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+      // Rebuild the module whenever the bibliography changes in dev.
+      this.addWatchFile(bibPath);
+      try {
+        const publications = parseBibTeX(readFileSync(bibPath, "utf8")).map(toPublication);
+        const seen = new Map();
+        publications.forEach(({ key, slug }) => {
+          if (seen.has(slug)) {
+            throw new BibTeXError(`Slug "${slug}" is already used by "${seen.get(slug)}"`, { key });
+          }
+          seen.set(slug, key);
+        });
+        return `export default ${JSON.stringify(publications, null, 2)};`;
+      } catch (error) {
+        if (error instanceof BibTeXError) {
+          this.error(`${path.relative(process.cwd(), bibPath)}: ${error.message}`);
+        }
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,159 @@
+// plugins/responsiveImagesPlugin.js
+// Vite plugin turning `import image from "./photo.png?responsive"` into a
+// responsive image: AVIF, WebP and a JPEG/PNG fallback at several widths,
+// plus the intrinsic size so the browser can reserve space before loading.
+// A tiny blurred preview is inlined as a data URI for use as a placeholder.
+import { createHash } from "node:crypto";
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from "node:fs";
+import path from "node:path";
+import sharp from "sharp";
+
+const QUERY = "responsive";
+const DEV_PREFIX = "/@responsive-image/";
+
+const MIME_TYPES = { avif: "image/avif", webp: "image/webp", jpeg: "image/jpeg", png: "image/png" };
+
+// Encoder settings per output format.
+const ENCODERS = {
+  avif: (image) => image.avif({ quality: 55, effort: 4 }),
+  webp: (image) => image.webp({ quality: 78 }),
+  jpeg: (image) => image.jpeg({ quality: 82, mozjpeg: true }),
+  png: (image) => image.png({ compressionLevel: 9, palette: true }),
+};
+
+// Longest side of the placeholder preview, in pixels.
+const PLACEHOLDER_SIZE = 16;
+
+/**
+ * Widths to generate for an image: every configured width clearly below the
+ * original, plus the original width itself (images are never upscaled).
+ * @param {number[]} widths - Configured widths.
+ * @param {number} originalWidth - Width of the source image.
+ * @returns {number[]} Ascending widths.
+ */
+export const variantWidths = (widths, originalWidth) => [
+  // Skip widths within 10% of the original; they would be near-duplicates.
+  ...new Set([...widths.filter((width) => width < originalWidth * 0.9), originalWidth]),
+].sort((a, b) => a - b);
+
+/**
+ * Vite plugin generating responsive image variants with sharp.
+ * Encoded files are cached on disk, keyed by source content and settings.
+ * @param {object} [options] - Plugin options.
+ * @param {number[]} [options.widths=[160, 320, 640, 1024, 1600]] - Candidate widths in pixels.
+ * @param {string} [options.cacheDir="node_modules/.cache/responsive-images"] - Encoded variant cache, relative to the project root.
+ * @returns {import('vite').Plugin}
+ */
+export default function responsiveImagesPlugin({
+  widths = [160, 320, 640, 1024, 1600],
+  cacheDir = "node_modules/.cache/responsive-images",
+} = {}) {
+  let config;
+  let cachePath;
+  // Dev server: generated files by URL path.
+  const devFiles = new Map();
+
+  // Encodes one variant, reusing the disk cache when possible.
+  const encode = async (source, sourceHash, width, format) => {
+    const file = path.join(cachePath, `${sourceHash}-${width}.${format}`);
+    if (existsSync(file)) return readFileSync(file);
+    const buffer = await ENCODERS[format](sharp(source).resize({ width, withoutEnlargement: true })).toBuffer();
+    mkdirSync(cachePath, { recursive: true });
+    writeFileSync(file, buffer);
+    return buffer;
+  };
+
+  // Encodes the placeholder as a WebP data URI, reusing the disk cache when possible.
+  const encodePlaceholder = async (source, sourceHash) => {
+    const file = path.join(cachePath, `${sourceHash}-placeholder-${PLACEHOLDER_SIZE}.txt`);
+    if (existsSync(file)) return readFileSync(file, "utf8");
+    const buffer = await sharp(source)
+      .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: "inside" })
+      .webp({ quality: 40 })
+      .toBuffer();
+    const dataUri = `data:image/webp;base64,${buffer.toString("base64")}`;
+    mkdirSync(cachePath, { recursive: true });
+    writeFileSync(file, dataUri);
+    return dataUri;
+  };
+
+  return {
+    name: "responsive-images",
+    enforce: "pre",
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+      cachePath = path.resolve(config.root, cacheDir);
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const file = req.url && devFiles.get(req.url.split("?")[0]);
+        if (!file) return next();
+        res.setHeader("Content-Type", file.mimeType);
+        res.setHeader("Cache-Control", "max-age=31536000, immutable");
+        res.end(file.buffer);
+      });
+    },
+    async load(id) {
+      const [filePath, query = ""] = id.split("?");
+      const params = new URLSearchParams(query);
+      if (!params.has(QUERY)) return null;
+
+      this.addWatchFile(filePath);
+      const source = readFileSync(filePath);
+      const sourceHash = createHash("sha256")
+        .update(source)
+        .update(JSON.stringify({ widths, encoders: Object.keys(ENCODERS)}))
+        .digest("hex")
+        .slice(0, 16);
+
+      const { width, height, hasAlpha } = await sharp(source).metadata();
+      if (!width || !height) {
+        this.error(`${path.relative(config.root, filePath)}: could not read image dimensions`);
+      }
+      const placeholder = JSON.stringify(await encodePlaceholder(source, sourceHash));
+      const baseName = path.basename(filePath, path.extname(filePath));
+      const fallback = hasAlpha ? "png" : "jpeg";
+      const sizes = variantWidths(widths, width);
+
+      // URL expression (JS source) for each encoded variant.
+      const variant = async (targetWidth, format) => {
+        const buffer = await encode(source, sourceHash, targetWidth, format);
+        const fileName = `${baseName}-${targetWidth}.${format === "jpeg" ? "jpg" : format}`;
+        if (config.command === "serve") {
+          const url = `${DEV_PREFIX}${sourceHash}/${fileName}`;
+          devFiles.set(url, { buffer, mimeType: MIME_TYPES[format] });
+          return JSON.stringify(config.base.replace(/\/$/, "") + url);
+        }
+        const referenceId = this.emitFile({ type: "asset", name: fileName, source: buffer });
+        return `import.meta.ROLLUP_FILE_URL_${referenceId}`;
+      };
+
+      // Builds `url 320w, url 640w, ...` as a JS template literal.
+      const srcset = async (format) => {
+        const entries = [];
+        for (const targetWidth of sizes) {
+          entries.push(`\${${await variant(targetWidth, format)}} ${targetWidth}w`);
+        }
+        return `\`${entries.join(", ")}\``;
+      };
+
+      const avifSrcset = await srcset("avif");
+      const webpSrcset = await srcset("webp");
+      const fallbackSrcset = await srcset(fallback);
+      const fallbackSrc = await variant(sizes[sizes.length - 1], fallback);
+
+      return `export default {
+  src: ${fallbackSrc},
+  srcset: ${fallbackSrcset},
+  sources: [
+    { type: "image/avif", srcset: ${avifSrcset} },
+    { type: "image/webp", srcset: ${webpSrcset} },
+  ],
+  placeholder: ${placeholder},
+  width: ${width},
+  height: ${height},
+  aspectRatio: ${width / height},
+};`;
+    },
+  };
+}
@@ -0,0 +1,48 @@
+// plugins/summaryProviderPlugin.js
+// Vite plugin for the "Explain this paper" feature: checks the configured
+// summary provider and lets the page connect to its endpoint under the
+// Content Security Policy declared in index.html.
+
+const PROVIDERS = ["static", "openai", "ollama", "mock"];
+
+// Default endpoints (keep in sync with src/utils/summaryProviders.js).
+const DEFAULT_ENDPOINTS = {
+  openai: "https://api.openai.com/v1",
+  ollama: "http://localhost:11434",
+};
+
+/**
+ * Vite plugin validating VITE_SUMMARY_* settings at startup.
+ * An unknown provider or a malformed endpoint fails the build; with no
+ * provider configured the pre-generated summaries are used and nothing changes.
+ * @returns {import('vite').Plugin}
+ */
+export default function summaryProviderPlugin() {
+  let origin;
+
+  return {
+    name: "summary-provider",
+    configResolved(config) {
+      const provider = config.env.VITE_SUMMARY_PROVIDER || "static";
+      if (!PROVIDERS.includes(provider)) {
+        throw new Error(
+          `VITE_SUMMARY_PROVIDER must be one of ${PROVIDERS.join(", ")} (got "${provider}")`,
+        );
+      }
+
+      const endpoint = config.env.VITE_SUMMARY_ENDPOINT || DEFAULT_ENDPOINTS[provider];
+      if (!endpoint) return;
+      try {
+        origin = new URL(endpoint).origin;
+      } catch {
+        throw new Error(`VITE_SUMMARY_ENDPOINT is not a valid URL: "${endpoint}"`);
+      }
+    },
+    transformIndexHtml(html) {
+      if (!origin) return html;
+      return html.replace(/connect-src ([^;"]*)/, (directive, sources) =>
+        sources.split(/\s+/).includes(origin) ? directive : `connect-src ${sources} ${origin}`,
+      );
+    },
+  };
+}
@@ -0,0 +1,105 @@
+// scripts/refresh-metrics.js
+// Refreshes src/data/metrics.json with citation counts for every publication
+// in src/data/publications.bib that has a DOI.
+//
+//   npm run metrics:refresh                   # OpenAlex, falling back to Crossref
+//   npm run metrics:refresh -- --source=crossref
+//
+// Papers that cannot be looked up keep their previous count, so a flaky
+// connection never wipes the snapshot.
+import { readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseBibTeX } from "../plugins/bibtexParser.js";
+import { toPublication } from "../plugins/publicationsPlugin.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const BIB_FILE = `${root}src/data/publications.bib`;
+const METRICS_FILE = `${root}src/data/metrics.json`;
+
+// Identify the site in the User-Agent so the APIs route us to their polite pools.
+const USER_AGENT = "filipej-portfolio metrics refresh (https://filipej.dev)";
+
+const SOURCES = {
+  OpenAlex: async (doi) => {
+    const data = await getJson(`https://api.openalex.org/works/doi:${encodeURIComponent(doi)}`);
+    return data.cited_by_count;
+  },
+  Crossref: async (doi) => {
+    const data = await getJson(`https://api.crossref.org/works/${encodeURIComponent(doi)}`);
+    return data.message?.["is-referenced-by-count"];
+  },
+};
+
+async function getJson(url) {
+  const response = await fetch(url, {
+    headers: { Accept: "application/json", "User-Agent": USER_AGENT },
+    signal: AbortSignal.timeout(15000),
+  });
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText} for ${url}`);
+  return response.json();
+}
+
+// Tries each source in order and returns the first usable count.
+async function lookup(doi, sourceNames) {
+  const errors = [];
+  for (const name of sourceNames) {
+    try {
+      const citations = await SOURCES[name](doi);
+      if (Number.isInteger(citations)) return { citations, source: name };
+      errors.push(`${name}: no citation count in response`);
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+  throw new Error(errors.join("; "));
+}
+
+async function main() {
+  const sourceArg = process.argv.find((arg) => arg.startsWith("--source="))?.split("=")[1];
+  const sourceNames = sourceArg
+    ? Object.keys(SOURCES).filter((name) => name.toLowerCase() === sourceArg.toLowerCase())
+    : Object.keys(SOURCES);
+  if (sourceNames.length === 0) {
+    throw new Error(`Unknown source "${sourceArg}" (use ${Object.keys(SOURCES).join(" or ")})`);
+  }
+
+  const publications = parseBibTeX(readFileSync(BIB_FILE, "utf8")).map(toPublication);
+  const previous = JSON.parse(readFileSync(METRICS_FILE, "utf8"));
+  const entries = {};
+  const usedSources = new Set();
+  let failures = 0;
+
+  for (const { key, doi } of publications) {
+    if (!doi) {
+      console.warn(`- ${key}: no DOI, skipped`);
+      continue;
+    }
+    try {
+      const { citations, source } = await lookup(doi, sourceNames);
+      entries[key] = { doi, citations };
+      usedSources.add(source);
+      console.log(`- ${key}: ${citations} (${source})`);
+    } catch (error) {
+      failures += 1;
+      console.warn(`- ${key}: lookup failed (${error.message})`);
+      if (previous.publications?.[key]) entries[key] = previous.publications[key];
+    }
+  }
+
+  if (usedSources.size === 0) {
+    throw new Error("No citation counts could be fetched; metrics.json left unchanged");
+  }
+
+  const metrics = {
+    source: [...usedSources].join(", "),
+    asOf: new Date().toISOString().slice(0, 10),
+    publications: entries,
+  };
+  writeFileSync(METRICS_FILE, `${JSON.stringify(metrics, null, 2)}\n`);
+  console.log(`Wrote ${METRICS_FILE}${failures ? ` (${failures} lookup(s) kept their previous value)` : ""}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,86 @@
+// scripts/refresh-repos.js
+// Refreshes src/data/repos.json with GitHub statistics (stars, forks,
+// languages, licence, latest release, last commit) for every repository
+// linked from src/data/cliTools.js.
+//
+//   npm run repos:refresh
+//   GITHUB_TOKEN=... npm run repos:refresh    # higher API rate limit
+//
+// Repositories that cannot be fetched keep their previous entry, so a flaky
+// connection never wipes the snapshot.
+import { readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import cliTools from "../src/data/cliTools.js";
+import { getRepoName } from "../src/utils/repoName.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const REPOS_FILE = `${root}src/data/repos.json`;
+
+const API = "https://api.github.com";
+const USER_AGENT = "filipej-portfolio repos refresh (https://filipej.dev)";
+
+async function getJson(path, { allowMissing = false } = {}) {
+  const headers = { Accept: "application/vnd.github+json", "User-Agent": USER_AGENT };
+  if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  const response = await fetch(`${API}${path}`, { headers, signal: AbortSignal.timeout(15000) });
+  if (allowMissing && response.status === 404) return null;
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText} for ${path}`);
+  return response.json();
+}
+
+// Statistics of one repository, in the shape stored in repos.json.
+async function lookup(name) {
+  const repo = await getJson(`/repos/${name}`);
+  const [languages, release, commits] = await Promise.all([
+    getJson(`/repos/${name}/languages`),
+    // 404 when the repository has no published release.
+    getJson(`/repos/${name}/releases/latest`, { allowMissing: true }),
+    getJson(`/repos/${name}/commits?per_page=1`),
+  ]);
+  const license = repo.license?.spdx_id;
+
+  return {
+    stars: repo.stargazers_count,
+    forks: repo.forks_count,
+    languages,
+    // GitHub reports unrecognised licence files as "NOASSERTION".
+    license: license && license !== "NOASSERTION" ? license : null,
+    latestRelease: release && { tag: release.tag_name, date: release.published_at.slice(0, 10) },
+    lastCommit: commits[0]?.commit.committer.date.slice(0, 10) ?? null,
+  };
+}
+
+async function main() {
+  const names = [...new Set(cliTools.map((tool) => getRepoName(tool.githubLink)).filter(Boolean))];
+  const previous = JSON.parse(readFileSync(REPOS_FILE, "utf8"));
+  const entries = {};
+  let failures = 0;
+
+  for (const name of names) {
+    try {
+      entries[name] = await lookup(name);
+      console.log(`- ${name}: ${entries[name].stars} stars, ${entries[name].forks} forks`);
+    } catch (error) {
+      failures += 1;
+      console.warn(`- ${name}: lookup failed (${error.message})`);
+      if (previous.repos?.[name]) entries[name] = previous.repos[name];
+    }
+  }
+
+  if (failures === names.length) {
+    throw new Error("No repositories could be fetched; repos.json left unchanged");
+  }
+
+  const snapshot = {
+    source: "GitHub",
+    asOf: new Date().toISOString().slice(0, 10),
+    repos: entries,
+  };
+  writeFileSync(REPOS_FILE, `${JSON.stringify(snapshot, null, 2)}\n`);
+  console.log(`Wrote ${REPOS_FILE}${failures ? ` (${failures} lookup(s) kept their previous entry)` : ""}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
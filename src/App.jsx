@@ -28,6 +28,9 @@ const DARK_MODE_KEY = "darkMode";
 
 // Import centralized animation variants
 import { defaultVariants, fadeInFromLeft, fadeInFromRight } from "./animations";
+// Hash deep links look like #section/sub/path?view=state
+import { parseHash } from "./utils/hashRoute";
+import { PERSON_ID } from "./utils/structuredData";
 
 /**
  * App Component: The root component of the application.
@@ -43,6 +46,8 @@ function App() {
   const personStructuredData = {
     "@context": "https://schema.org",
     "@type": "Person",
+    // Referenced by the ScholarlyArticle nodes in PublicationsSection.
+    "@id": PERSON_ID,
     name: "Filipe L. Q. Junqueira",
     url: "https://filipej.dev",
     image: "https://filipej.dev/og-image.png",
@@ -90,10 +95,7 @@ function App() {
     name: "Filipe L. Q. Junqueira's Portfolio",
     url: "https://filipej.dev",
     description: personStructuredData.description,
-    author: {
-      "@type": "Person",
-      name: "Filipe L. Q. Junqueira",
-    },
+    author: { "@id": PERSON_ID },
     inLanguage: "en-US",
   };
 
@@ -115,18 +117,22 @@ function App() {
 
   // Section Scrolling Effect
   useEffect(() => {
-    const hash = window.location.hash.substring(1);
+    // Only the section part of a deep link is an element id. Links into a
+    // section (e.g. #blender/<project>) are scrolled by that section itself.
+    const { section: hash, segments } = parseHash(window.location.hash);
     const sectionIdToScroll =
       hash || (activeSection !== "home" ? activeSection : null);
 
     if (sectionIdToScroll) {
       const element = document.getElementById(sectionIdToScroll);
       if (element) {
-        const navbarHeight = document.querySelector("nav")?.offsetHeight || 0;
-        const elementPosition =
-          element.getBoundingClientRect().top + window.pageYOffset;
-        const offsetPosition = elementPosition - navbarHeight - 24;
-        window.scrollTo({ top: offsetPosition, behavior: "smooth" });
+        if (segments.length === 0) {
+          const navbarHeight = document.querySelector("nav")?.offsetHeight || 0;
+          const elementPosition =
+            element.getBoundingClientRect().top + window.pageYOffset;
+          const offsetPosition = elementPosition - navbarHeight - 24;
+          window.scrollTo({ top: offsetPosition, behavior: "smooth" });
+        }
         if (hash && hash !== activeSection) {
           setActiveSection(hash);
         }
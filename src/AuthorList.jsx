@@ -0,0 +1,84 @@
+// AuthorList.jsx
+// Import React, hooks and author utilities.
+import React, { useState, useId } from "react";
+import { AUTHOR_ROLES, collapseAuthors } from "./utils/authors";
+import { focusRing } from "./components/UI";
+
+/**
+ * AuthorList Component: Renders a publication's authors with the site owner
+ * highlighted, role markers and a collapsible view for long lists.
+ * @param {object} props - Component props.
+ * @param {object[]} props.authors - Structured authors from getAuthors().
+ * @param {number} [props.maxVisible=6] - Lists longer than this start collapsed.
+ * @param {string} [props.className] - CSS classes for the wrapper.
+ */
+const AuthorList = ({ authors, maxVisible = 6, className = "" }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const listId = useId();
+
+  const collapsed = collapseAuthors(authors, maxVisible);
+  const items = isExpanded
+    ? authors.map((author, index) => ({ type: "author", author, index }))
+    : collapsed.items;
+  // Roles used in this list, for the legend.
+  const usedRoles = Object.keys(AUTHOR_ROLES).filter((role) =>
+    authors.some((author) => author.roles.includes(role)),
+  );
+
+  return (
+    <div className={className}>
+      <p id={listId} className="text-sm text-gray-700 dark:text-slate-400 italic">
+        {items.map((item, position) => (
+          <React.Fragment key={item.type === "gap" ? `gap-${position}` : item.index}>
+            {position > 0 && ", "}
+            {item.type === "gap" ? (
+              <>
+                <span aria-hidden="true">…</span>
+                <span className="sr-only">more authors</span>
+              </>
+            ) : (
+              <>
+                {item.author.isOwner ? (
+                  <strong className="font-semibold not-italic text-emerald-800 dark:text-emerald-300">
+                    {item.author.name}
+                  </strong>
+                ) : (
+                  item.author.name
+                )}
+                {item.author.roles.map((role) => (
+                  <React.Fragment key={role}>
+                    <sup title={AUTHOR_ROLES[role].label} aria-hidden="true">
+                      {AUTHOR_ROLES[role].symbol}
+                    </sup>
+                    <span className="sr-only"> ({AUTHOR_ROLES[role].label})</span>
+                  </React.Fragment>
+                ))}
+              </>
+            )}
+          </React.Fragment>
+        ))}
+        {!isExpanded && collapsed.hiddenCount > 0 && (
+          <span className="not-italic"> (+{collapsed.hiddenCount})</span>
+        )}
+      </p>
+      {collapsed.hiddenCount > 0 && (
+        <button
+          type="button"
+          onClick={() => setIsExpanded((prev) => !prev)}
+          aria-expanded={isExpanded}
+          aria-controls={listId}
+          className={`text-xs text-emerald-600 dark:text-emerald-400 hover:text-emerald-800 dark:hover:text-emerald-300 font-medium mt-0.5 rounded-sm ${focusRing}`}
+        >
+          {isExpanded ? "Show fewer authors" : `Show all ${authors.length} authors`}
+        </button>
+      )}
+      {usedRoles.length > 0 && (
+        <p className="text-xs text-gray-500 dark:text-slate-500 mt-0.5">
+          {usedRoles.map((role) => `${AUTHOR_ROLES[role].symbol} ${AUTHOR_ROLES[role].label}`).join(" · ")}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AuthorList;
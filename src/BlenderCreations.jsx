@@ -1,57 +1,214 @@
 // BlenderCreations.jsx
-// Import React, hooks, Section, AnimatedSection, ProjectCard, and Lucide icon.
-import React, { useState } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+// Import React, hooks, Helmet, Section, AnimatedSection, ProjectCard, ImageMasonry, Lightbox, and Lucide icons.
+import React, { useState, useCallback, useEffect, useMemo, useRef } from "react";
+import { AnimatePresence } from "framer-motion";
+import { Helmet } from "react-helmet-async";
 import Section from "./Section";
 import AnimatedSection from "./AnimatedSection";
 import ProjectCard from "./ProjectCard";
-import { Palette, X, ImageIcon, ChevronUp } from "lucide-react";
+import ImageMasonry from "./ImageMasonry";
+import Lightbox from "./Lightbox";
+import { Button } from "./components/UI";
+import { Palette, LayoutGrid, Images } from "lucide-react";
+import { useHashRoute } from "./hooks/useHashRoute";
+import { buildHash, navigateHash } from "./utils/hashRoute";
+import { getImage } from "./utils/imageAssets";
+import { getImageMetadata } from "./utils/imageMetadata";
+import { getMediaLabel, getPrimaryImage, normalizeMedia } from "./utils/media";
+import { SITE_URL, artworkId, buildVisualArtwork } from "./utils/structuredData";
+// Blender project data with image names for dynamic loading.
+import blenderProjects from "./data/blenderProjects";
 
+/**
+ * Builds the lightbox sequence of a project: main image, then gallery entries.
+ * @param {object} project - Blender project data.
+ * @returns {(import("./utils/media").Media & { alt: string, caption: string })[]}
+ */
+const getProjectImages = ({ title, mainImage, galleryImages = [] }) => [
+  { type: "image", imageName: mainImage, alt: `Main image for ${title}`, caption: title },
+  ...galleryImages.map((entry, index) => ({
+    ...normalizeMedia(entry),
+    alt: `${title} - Gallery Image ${index + 1} of ${galleryImages.length}`,
+    caption: `${title} - gallery image ${index + 1}`,
+  })),
+];
+
+/**
+ * Reads a Blender deep link: #blender/<project-slug>/<image>?view=lightbox.
+ * `<image>` is the position in the project's sequence: 1 to n are gallery
+ * images and 0 (or no segment) is the main image.
+ * @param {{ section: string, segments: string[], params: URLSearchParams }} route - Parsed hash.
+ * @returns {{ project: object, index: number, isLightboxOpen: boolean } | null}
+ */
+const parseBlenderLink = ({ section, segments, params }) => {
+  if (section !== "blender" || !segments[0]) return null;
+  const project = blenderProjects.find(({ slug }) => slug === segments[0]);
+  if (!project) return null;
+  const index = Number.parseInt(segments[1] ?? "0", 10);
+  const isValidIndex = Number.isInteger(index) && index >= 0 && index <= project.galleryImages.length;
+  return { project, index: isValidIndex ? index : 0, isLightboxOpen: params.get("view") === "lightbox" };
+};
+
+// Hash for a project image, with or without the lightbox open.
+const blenderHash = (project, index, isLightboxOpen = false) =>
+  buildHash("blender", index > 0 ? [project.slug, index] : [project.slug], {
+    view: isLightboxOpen ? "lightbox" : "",
+  });
+
+// Tags of all projects, in order of first use, for the filter bar.
+const projectTags = [...new Set(blenderProjects.flatMap(({ tags = [] }) => tags))];
 
-// Import LazyImage component
-import LazyImage from "./LazyImage";
+// SEO: one VisualArtwork node per render, with details from its metadata sidecar.
+const artworkStructuredData = blenderProjects.flatMap((project) =>
+  getProjectImages(project).map((media, index) =>
+    buildVisualArtwork({
+      name: media.caption,
+      id: artworkId(project.slug, index),
+      contentUrl: new URL(getImage(getPrimaryImage(media)).original, SITE_URL).href,
+      description: project.description,
+      metadata: getImageMetadata(getPrimaryImage(media)),
+    }),
+  ),
+);
 
 /**
  * BlenderCreations Component: Showcases Blender 3D art projects with a lightbox.
+ * Projects can be filtered by tag and browsed per card or as one masonry of
+ * all renders. The project, image and lightbox state are mirrored in the URL
+ * hash so any render can be shared, e.g. #blender/scientific-visualization/3.
  */
 const BlenderCreations = () => {
-  // State to control the visibility of ALL galleries at once.
-  const [areAllGalleriesOpen, setAreAllGalleriesOpen] = useState(false);
-  // State for the lightbox image remains the same.
-  const [lightboxImage, setLightboxImage] = useState(null);
-  // Blender project data with image names for dynamic loading.
-  const blenderProjects = [
-    {
-      id: 1,
-      title: "Abstract 3D Art",
-      description: "Exploring forms, textures, and lighting...",
-      artisticStatement: "Focus: Procedural generation...",
-      mainImage: "blenderA",
-      galleryImages: ["blenderA1", "blenderA2", "blenderA3"],
-    },
-    {
-      id: 2,
-      title: "Scientific Visualization",
-      description: "Using Blender to create visualizations...",
-      artisticStatement: "Goal: To accurately and beautifully convey...",
-      mainImage: "blenderB",
-      galleryImages: ["blenderB1", "blenderB2", "blenderB3", "blenderB4", "blenderB5"],
-    },
-    {
-      id: 3,
-      title: "Character/Concept Design",
-      description: "Developing unique characters and concepts...",
-      artisticStatement: "Exploration: Character storytelling...",
-      mainImage: "blenderC",
-      galleryImages: ["blenderC1", "blenderC2", "blenderC3"],
-    },
-  ];
-
-  // Function to toggle the state of all galleries.
-  const toggleAllGalleries = () => {
-    setAreAllGalleriesOpen((prevState) => !prevState);
+  // Tag shown in the grid, or "all".
+  const [activeTag, setActiveTag] = useState("all");
+  // "projects" shows the cards, "images" every render of the visible projects.
+  const [view, setView] = useState("projects");
+  // Open galleries and their positions, keyed by project id.
+  const [openGalleries, setOpenGalleries] = useState({});
+  const [galleryIndexes, setGalleryIndexes] = useState({});
+
+  const route = useHashRoute();
+  const link = useMemo(() => parseBlenderLink(route), [route]);
+  // Hash most recently set by this component, to tell its own updates from
+  // external navigation (shared links, back/forward).
+  const ownHashRef = useRef(null);
+  // Whether the open lightbox added its own history entry.
+  const pushedLightboxRef = useRef(false);
+  // Set while closing the lightbox goes back in history.
+  const isClosingLightboxRef = useRef(false);
+  // Card to scroll to once it is rendered.
+  const scrollTargetRef = useRef(null);
+
+  const visibleProjects =
+    activeTag === "all" ? blenderProjects : blenderProjects.filter(({ tags = [] }) => tags.includes(activeTag));
+
+  const navigate = useCallback((hash, options) => {
+    ownHashRef.current = hash;
+    navigateHash(hash, options);
+  }, []);
+
+  // Follow deep links: open the gallery at the linked image and scroll to the project.
+  useEffect(() => {
+    const isOwnNavigation = route.hash === ownHashRef.current || isClosingLightboxRef.current;
+    isClosingLightboxRef.current = false;
+    if (!link) return;
+    if (link.index > 0) {
+      setOpenGalleries((current) => ({ ...current, [link.project.id]: true }));
+      setGalleryIndexes((current) => ({ ...current, [link.project.id]: link.index - 1 }));
+    }
+    if (!isOwnNavigation) {
+      pushedLightboxRef.current = false;
+      // The linked card may be hidden by the filter or the masonry view.
+      setView("projects");
+      setActiveTag((current) => (link.project.tags?.includes(current) ? current : "all"));
+      scrollTargetRef.current = `blender-${link.project.slug}`;
+    }
+  }, [link, route.hash]);
+
+  // Runs after every render, so it also catches cards shown by the effect above.
+  useEffect(() => {
+    const card = scrollTargetRef.current && document.getElementById(scrollTargetRef.current);
+    if (!card) return;
+    scrollTargetRef.current = null;
+    card.scrollIntoView({ behavior: "smooth", block: "center" });
+  });
+
+  const lightboxProject = link?.isLightboxOpen ? link.project : null;
+
+  // Stable callbacks so the lightbox's keyboard listener is not re-bound on every render.
+  const closeLightbox = useCallback(() => {
+    if (pushedLightboxRef.current) {
+      // Opening the lightbox added a history entry; going back removes it.
+      pushedLightboxRef.current = false;
+      isClosingLightboxRef.current = true;
+      window.history.back();
+    } else if (link) {
+      navigate(blenderHash(link.project, link.index), { replace: true });
+    }
+  }, [link, navigate]);
+
+  const showLightboxImage = useCallback(
+    (index) => link && navigate(blenderHash(link.project, index, true), { replace: true }),
+    [link, navigate],
+  );
+
+  const openLightbox = (project, index) => {
+    pushedLightboxRef.current = true;
+    navigate(blenderHash(project, index, true));
+  };
+
+  // Gallery arrows update the URL in place, so browsing does not flood the history.
+  const changeGalleryImage = (project, galleryIndex) => {
+    setGalleryIndexes((current) => ({ ...current, [project.id]: galleryIndex }));
+    navigate(blenderHash(project, galleryIndex + 1), { replace: true });
   };
 
+  // Opens or closes one card's gallery. Closing it also drops a link to its images.
+  const toggleGallery = (project) => {
+    if (openGalleries[project.id]) {
+      setGalleryIndexes((current) => ({ ...current, [project.id]: 0 }));
+      if (link?.project.id === project.id && link.index > 0) {
+        navigate(blenderHash(project, 0), { replace: true });
+      }
+    }
+    setOpenGalleries((current) => ({ ...current, [project.id]: !current[project.id] }));
+  };
+
+  // Every render of the visible projects, for the masonry view.
+  const masonryItems = visibleProjects.flatMap((project) =>
+    getProjectImages(project).map((media, index) => ({
+      key: `${project.slug}-${index}`,
+      imageName: getPrimaryImage(media),
+      alt: media.alt,
+      caption: media.caption,
+      badge: getMediaLabel(media),
+      onOpen: () => openLightbox(project, index),
+    })),
+  );
+
+  const filterButton = (tag, label) => (
+    <Button
+      key={tag}
+      variant={activeTag === tag ? "primary" : "ghost"}
+      size="sm"
+      aria-pressed={activeTag === tag}
+      onClick={() => setActiveTag(tag)}
+      className="capitalize"
+    >
+      {label}
+    </Button>
+  );
+
+  const viewButton = (id, label, Icon) => (
+    <Button
+      variant={view === id ? "primary" : "ghost"}
+      size="sm"
+      aria-pressed={view === id}
+      onClick={() => setView(id)}
+    >
+      <Icon size={16} className="mr-1.5" aria-hidden="true" /> {label}
+    </Button>
+  );
+
   return (
     <>
       <Section
@@ -59,6 +216,13 @@ const BlenderCreations = () => {
         icon={Palette}
         id="blender"
       >
+        <Helmet>
+          {artworkStructuredData.map((artwork) => (
+            <script key={artwork["@id"]} type="application/ld+json">
+              {JSON.stringify(artwork)}
+            </script>
+          ))}
+        </Helmet>
         <p className="text-center text-base md:text-lg text-gray-700 dark:text-slate-300 mb-12 md:mb-16 max-w-2xl mx-auto leading-relaxed">
           Leveraging Blender for creative 3D projects, scientific visualization,
           and concept art. Each piece is a journey into form, light, and
@@ -66,40 +230,42 @@ const BlenderCreations = () => {
           aesthetic.
         </p>
 
-        {/* The Master Toggle Button has been MOVED from here. */}
-
-        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8 md:gap-10">
-          {blenderProjects.map((project, index) => (
-            <AnimatedSection
-              key={project.id}
-              delay={index * 0.15}
-              threshold={0.1}
-            >
-              <ProjectCard
-                {...project}
-                type="blender"
-                isGalleryOpen={areAllGalleriesOpen}
-                onImageClick={setLightboxImage}
-              />
-            </AnimatedSection>
-          ))}
+        {/* Filter bar: narrows both views to one tag */}
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <div className="flex flex-wrap gap-2" role="group" aria-label="Filter projects by tag">
+            {filterButton("all", "All")}
+            {projectTags.map((tag) => filterButton(tag, tag))}
+          </div>
+          <div className="flex gap-2" role="group" aria-label="Layout">
+            {viewButton("projects", "Projects", LayoutGrid)}
+            {viewButton("images", "All images", Images)}
+          </div>
         </div>
 
-        {/* NEW POSITION: Master button to toggle all galleries is now here, below the cards. */}
-        <div className="text-center mt-12 md:mt-16">
-          <button
-            onClick={toggleAllGalleries}
-            className="inline-flex items-center gap-2 bg-emerald-500 dark:bg-emerald-600 text-white font-medium py-2.5 px-6 rounded-md hover:bg-emerald-600 dark:hover:bg-emerald-700 transition-all duration-300 shadow-sm hover:shadow-md text-sm uppercase tracking-wider focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-400 dark:focus:ring-emerald-500 focus:ring-offset-white dark:focus:ring-offset-slate-800"
-            aria-expanded={areAllGalleriesOpen}
-          >
-            {areAllGalleriesOpen ? "Hide All Images" : "View All Images"}
-            {areAllGalleriesOpen ? (
-              <ChevronUp size={18} aria-hidden="true" />
-            ) : (
-              <ImageIcon size={18} aria-hidden="true" />
-            )}
-          </button>
-        </div>
+        {view === "projects" ? (
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8 md:gap-10">
+            {visibleProjects.map((project, index) => (
+              <AnimatedSection
+                key={project.id}
+                delay={index * 0.15}
+                threshold={0.1}
+              >
+                <ProjectCard
+                  {...project}
+                  anchorId={`blender-${project.slug}`}
+                  type="blender"
+                  isGalleryOpen={Boolean(openGalleries[project.id])}
+                  onToggleGallery={() => toggleGallery(project)}
+                  currentImageIndex={galleryIndexes[project.id] ?? 0}
+                  onImageIndexChange={(galleryIndex) => changeGalleryImage(project, galleryIndex)}
+                  onImageClick={(imageIndex) => openLightbox(project, imageIndex)}
+                />
+              </AnimatedSection>
+            ))}
+          </div>
+        ) : (
+          <ImageMasonry items={masonryItems} label="All Blender renders" />
+        )}
 
         <p className="text-center text-sm text-gray-600 dark:text-slate-400 mt-8">
           More creations and visualizations coming soon! Stay tuned for updates
@@ -107,44 +273,16 @@ const BlenderCreations = () => {
         </p>
       </Section>
 
-      {/* Lightbox Modal Implementation (remains unchanged) */}
+      {/* Lightbox: browse the clicked project's images */}
       <AnimatePresence>
-        {lightboxImage && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            onClick={() => setLightboxImage(null)}
-            className="fixed inset-0 bg-black/80 backdrop-blur-sm z-50 flex items-center justify-center p-4"
-            aria-modal="true"
-            role="dialog"
-          >
-            <motion.button
-              initial={{ scale: 0, rotate: -90 }}
-              animate={{ scale: 1, rotate: 0 }}
-              exit={{ scale: 0, rotate: -90 }}
-              transition={{ type: "spring", stiffness: 300, damping: 20 }}
-              onClick={() => setLightboxImage(null)}
-              className="absolute top-5 right-5 text-white bg-black/40 rounded-full p-2 hover:bg-black/60 transition-colors"
-              aria-label="Close image view"
-            >
-              <X size={30} />
-            </motion.button>
-            <motion.div
-              initial={{ scale: 0.5, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.5, opacity: 0 }}
-              transition={{ type: "spring", stiffness: 250, damping: 25 }}
-              onClick={(e) => e.stopPropagation()}
-              className="relative max-w-[90vw] max-h-[90vh]"
-            >
-              <img
-                src={lightboxImage}
-                alt="Enlarged view of Blender render"
-                className="max-w-full max-h-full object-contain rounded-lg shadow-2xl"
-              />
-            </motion.div>
-          </motion.div>
+        {lightboxProject && (
+          <Lightbox
+            images={getProjectImages(lightboxProject)}
+            index={link.index}
+            onIndexChange={showLightboxImage}
+            onClose={closeLightbox}
+            title={`${lightboxProject.title} images`}
+          />
         )}
       </AnimatePresence>
     </>
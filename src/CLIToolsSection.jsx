@@ -1,187 +1,63 @@
 // CLIToolsSection.jsx
-// Import React, motion, Section, UI components, and Lucide icons.
-import React from "react";
+// Import React, motion, Section, UI components, the terminal demo, repository stats, data and Lucide icons.
+import React, { useState } from "react";
 import { motion } from "framer-motion";
 import Section from "./Section";
-import { Card, Button, Tag, TextPrimary, TextSecondary, CodeBlock, Link, focusRing } from "./components/UI";
-import { Terminal, FileCode, BarChart3, Zap, Github } from "lucide-react";
+import { Card, Button, Tag, TextPrimary, TextSecondary, TextMuted, CodeBlock, Link } from "./components/UI";
+import TerminalEmulator from "./TerminalEmulator";
+import RepoStats from "./RepoStats";
+import cliTools from "./data/cliTools";
+import { getCastUrl } from "./utils/imageAssets";
+import { getSnapshotInfo } from "./utils/repos";
+import { formatIsoDate } from "./utils/dates";
+import { Terminal, FileCode, BarChart3, Zap, Github, Film, Keyboard } from "lucide-react";
+
+// Card icon of each tool, by slug.
+const TOOL_ICONS = {
+  "dft-suite": FileCode,
+  "spm-analyzer": BarChart3,
+  quickplot: Zap,
+};
+
+/**
+ * ToolDemo Component: A tool's terminal demo. Tools with an asciinema
+ * recording show it first, with the interactive terminal one click away.
+ * @param {object} props - Component props.
+ * @param {import("./data/cliTools").CLITool} props.tool - Tool data.
+ */
+const ToolDemo = ({ tool }) => {
+  const [mode, setMode] = useState("recording");
+  const castUrl = tool.cast && getCastUrl(tool.cast);
+
+  if (!castUrl) {
+    return <TerminalEmulator spec={tool.terminal} title={tool.title} className="mb-5" />;
+  }
+
+  const modeButton = (id, label, Icon) => (
+    <Button variant={mode === id ? "primary" : "ghost"} size="sm" aria-pressed={mode === id} onClick={() => setMode(id)}>
+      <Icon size={16} className="mr-1.5" aria-hidden="true" /> {label}
+    </Button>
+  );
+
+  return (
+    <div className="mb-5">
+      <div className="flex gap-2 mb-2" role="group" aria-label={`${tool.title} demo`}>
+        {modeButton("recording", "Recording", Film)}
+        {modeButton("interactive", "Try it", Keyboard)}
+      </div>
+      {mode === "recording" ? (
+        <CodeBlock cast={castUrl} title={`${tool.title} session`} />
+      ) : (
+        <TerminalEmulator spec={tool.terminal} title={tool.title} />
+      )}
+    </div>
+  );
+};
 
 /**
  * CLIToolsSection Component: Highlights command-line interface tools.
  */
 const CLIToolsSection = () => {
-  // Data for CLI tools.
-  const cliToolsData = [
-    {
-      id: 1,
-      title: "DFT Automation Suite",
-      description:
-        "A Python-based CLI tool to streamline Density Functional Theory (DFT) calculations, manage input/output files for software like VASP or Quantum Espresso, and automate job submissions to HPC clusters using SLURM or PBS.",
-      problemSolved:
-        "Reduces manual intervention and potential for errors in complex DFT workflows, significantly speeding up research cycles for materials simulation.",
-      icon: FileCode,
-      codeExample: (
-        <>
-          <span className="text-slate-500 dark:text-slate-400">&gt; </span>
-          <span className="text-emerald-500 dark:text-sky-400">
-            dft-suite run
-          </span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --job_type relax
-          </span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --struct Si.vasp
-          </span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Initializing calculation for Si.vasp...
-          </span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Input files generated.
-          </span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Submitting job to SLURM ID:{" "}
-          </span>
-          <span className="text-green-500 dark:text-green-400">12345</span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Monitoring status... Job completed successfully.
-          </span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Final energy:{" "}
-          </span>
-          <span className="text-green-500 dark:text-green-400">
-            -5.42 eV/atom
-          </span>
-        </>
-      ),
-      tags: ["Python", "CLI", "DFT", "VASP", "HPC", "Automation", "SLURM"],
-      githubLink: "https://github.com/filipejunqueira/dft-suite",
-    },
-    {
-      id: 2,
-      title: "SPM Data Analyzer",
-      description:
-        "Command-line utilities for processing and analyzing Scanning Probe Microscopy (SPM) data (AFM/STM). Features include drift correction, plane fitting, noise filtering, tip deconvolution, and basic statistical analysis of surface features.",
-      problemSolved:
-        "Provides a consistent and scriptable way to perform common SPM data processing tasks, ensuring reproducibility and enabling batch processing of large datasets.",
-      icon: BarChart3,
-      codeExample: (
-        <>
-          <span className="text-slate-500 dark:text-slate-400">&gt; </span>
-          <span className="text-emerald-500 dark:text-sky-400">
-            spm-analyzer process
-          </span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --file afm_scan.xyz
-          </span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --drift_correct --plane_fit
-          </span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Processing scan data: afm_scan.xyz
-          </span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Applying 2D polynomial drift correction...
-          </span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Performing plane fitting (order 1)...
-          </span>
-          <br />
-          <span className="text-green-500 dark:text-green-400">
-            Drift corrected. RMS roughness: 0.15 nm
-          </span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Saving processed_afm_scan.dat
-          </span>
-        </>
-      ),
-      tags: [
-        "Python",
-        "CLI",
-        "SPM",
-        "AFM",
-        "STM",
-        "Data Analysis",
-        "Nanoscience",
-      ],
-      githubLink: "https://github.com/filipejunqueira/spm-analyzer",
-    },
-    {
-      id: 3,
-      title: "Quick Plotter CLI",
-      description:
-        "A rapid plotting tool for generating publication-quality graphs from CSV or text files directly from the terminal. Supports various plot types, custom labels, legends, and output formats, powered by Matplotlib.",
-      problemSolved:
-        "Eliminates the need to write repetitive plotting scripts for common data visualization tasks, allowing for quick insights and figure generation from the command line.",
-      icon: Zap,
-      codeExample: (
-        <>
-          <span className="text-slate-500 dark:text-slate-400">&gt; </span>
-          <span className="text-emerald-500 dark:text-sky-400">quickplot</span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --file results.csv
-          </span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --x_col "Voltage"
-          </span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --y_col "Current"
-          </span>
-          <span>{" \\"}</span>
-          <br />
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            -t "I-V Curve for Device X"
-          </span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --xlabel "Voltage (V)"
-          </span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --ylabel "Current (nA)"
-          </span>
-          <span className="text-yellow-500 dark:text-yellow-400">
-            {" "}
-            --save plot.png
-          </span>
-          <br />
-          <span className="text-gray-500 dark:text-slate-500">
-            Generating plot 'I-V Curve for Device X'...
-          </span>
-          <br />
-          <span className="text-green-500 dark:text-green-400">
-            Saved to plot_Voltage_vs_Current.png
-          </span>
-        </>
-      ),
-      tags: [
-        "Python",
-        "CLI",
-        "Plotting",
-        "Matplotlib",
-        "Data Viz",
-        "Automation",
-      ],
-      githubLink: "https://github.com/filipejunqueira/quickplot",
-    },
-  ];
-
   // Animation variants for cards.
   const cardVariants = {
     hidden: { opacity: 0, y: 30 },
@@ -197,6 +73,8 @@ const CLIToolsSection = () => {
     },
   };
 
+  const repoSnapshot = getSnapshotInfo();
+
   return (
     <Section title="CLI Tools & Scripts" icon={Terminal} id="cli">
       <TextSecondary 
@@ -208,8 +86,8 @@ const CLIToolsSection = () => {
         designed for robustness and ease of use.
       </TextSecondary>
       <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8 md:gap-10">
-        {cliToolsData.map((tool, index) => {
-          const ToolIcon = tool.icon;
+        {cliTools.map((tool, index) => {
+          const ToolIcon = TOOL_ICONS[tool.slug] ?? Terminal;
           return (
             <motion.div
               key={tool.id}
@@ -253,11 +131,8 @@ const CLIToolsSection = () => {
                   </Tag>
                 ))}
               </div>
-              {tool.codeExample && (
-                <CodeBlock className="mb-5">
-                  {tool.codeExample}
-                </CodeBlock>
-              )}
+              <RepoStats githubLink={tool.githubLink} className="mb-5" />
+              <ToolDemo tool={tool} />
               <motion.div
                 className="mt-auto"
                 whileHover={{
@@ -282,6 +157,12 @@ const CLIToolsSection = () => {
           );
         })}
       </div>
+      {repoSnapshot.asOf && (
+        <TextMuted as="p" className="text-xs text-center mt-8">
+          Repository statistics from {repoSnapshot.source} as of{" "}
+          <time dateTime={repoSnapshot.asOf}>{formatIsoDate(repoSnapshot.asOf)}</time>.
+        </TextMuted>
+      )}
     </Section>
   );
 };
@@ -0,0 +1,211 @@
+// CareerTimeline.jsx
+// Import React, hooks, motion, UI components, the timeline layout and Lucide icons.
+import React, { useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { Button, TextPrimary, TextSecondary, TextMuted, focusRing } from "./components/UI";
+import { useMediaQuery } from "./hooks/useMediaQuery";
+import { layoutTimeline } from "./utils/careerTimeline";
+import { ZoomIn, ZoomOut } from "lucide-react";
+
+// Bar colours and legend labels of each kind of role.
+const CATEGORIES = {
+  academia: {
+    label: "Academia",
+    bar: "bg-emerald-600 hover:bg-emerald-700 text-white dark:bg-emerald-500 dark:hover:bg-emerald-400 dark:text-slate-900",
+  },
+  industry: {
+    label: "Industry",
+    bar: "bg-sky-600 hover:bg-sky-700 text-white dark:bg-sky-400 dark:hover:bg-sky-300 dark:text-slate-900",
+  },
+  education: {
+    label: "Education",
+    bar: "bg-amber-400 hover:bg-amber-500 text-amber-950 dark:bg-amber-300 dark:hover:bg-amber-200",
+  },
+};
+
+// Zoom factors of the time axis.
+const ZOOM_LEVELS = [1, 1.5, 2, 3, 4];
+// Length of one year on the vertical (mobile) axis at zoom 1, in rem.
+const VERTICAL_YEAR_SIZE = 3;
+
+/**
+ * CareerTimeline Component: Career milestones as bars on a zoomable time
+ * axis, with overlapping roles in parallel lanes. The axis runs left to right
+ * on wide screens and top (most recent) to bottom on narrow ones. Selecting a
+ * bar shows the milestone's details below the chart.
+ * @param {object} props - Component props.
+ * @param {object[]} props.milestones - Career milestones with `periods` and `category`.
+ * @param {number | null} props.expandedId - Milestone whose details are shown.
+ * @param {function} props.onToggle - Called with a milestone id to show or hide its details.
+ */
+const CareerTimeline = ({ milestones, expandedId, onToggle }) => {
+  const [zoomIndex, setZoomIndex] = useState(0);
+  const isVertical = !useMediaQuery("(min-width: 768px)", true);
+  const { bars, lanes, startYear, endYear } = useMemo(() => layoutTimeline(milestones), [milestones]);
+  const zoom = ZOOM_LEVELS[zoomIndex];
+  const expanded = milestones.find((milestone) => milestone.id === expandedId);
+
+  const years = Array.from({ length: endYear - startYear + 1 }, (_, index) => startYear + index);
+  // Label every other year until there is room for all of them.
+  const labelStep = zoom < 2 ? 2 : 1;
+  // Position along the axis, from a fraction of it; the vertical axis puts recent years on top.
+  const position = (from, to) =>
+    isVertical
+      ? { top: `${(1 - to) * 100}%`, height: `${(to - from) * 100}%` }
+      : { left: `${from * 100}%`, width: `${(to - from) * 100}%` };
+  const yearFraction = (year) => (year - startYear) / (endYear - startYear);
+
+  // At the end of the range the button stays focusable (aria-disabled) and does nothing.
+  const zoomButton = (step, label, Icon) => {
+    const isAtLimit = !ZOOM_LEVELS[zoomIndex + step];
+    return (
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => !isAtLimit && setZoomIndex((index) => index + step)}
+        aria-disabled={isAtLimit}
+        aria-label={label}
+        title={label}
+        className="aria-disabled:opacity-40 aria-disabled:cursor-default aria-disabled:hover:bg-transparent dark:aria-disabled:hover:bg-transparent"
+      >
+        <Icon size={18} aria-hidden="true" />
+      </Button>
+    );
+  };
+
+  return (
+    <div className="p-4 md:p-5 bg-white dark:bg-slate-800 rounded-lg border border-emerald-100 dark:border-slate-700">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <ul className="flex flex-wrap gap-x-4 gap-y-1 text-sm" aria-label="Legend">
+          {Object.entries(CATEGORIES).map(([id, { label, bar }]) => (
+            <li key={id} className="flex items-center gap-1.5">
+              <span className={`h-3 w-3 rounded-sm ${bar}`} aria-hidden="true" />
+              <TextSecondary>{label}</TextSecondary>
+            </li>
+          ))}
+        </ul>
+        <div className="flex items-center gap-1" role="group" aria-label="Timeline zoom">
+          {zoomButton(-1, "Zoom out", ZoomOut)}
+          <TextMuted className="text-xs w-10 text-center" aria-live="polite">
+            {Math.round(zoom * 100)}%
+          </TextMuted>
+          {zoomButton(1, "Zoom in", ZoomIn)}
+        </div>
+      </div>
+
+      <div
+        className={`${isVertical ? "max-h-[70vh] overflow-y-auto" : "overflow-x-auto"} rounded ${focusRing}`}
+        role="region"
+        aria-label="Career timeline"
+        tabIndex={0}
+      >
+        <div
+          className={`relative ${isVertical ? "flex" : "pt-6 min-w-[40rem]"}`}
+          style={
+            isVertical
+              ? { height: `${(endYear - startYear) * VERTICAL_YEAR_SIZE * zoom}rem` }
+              : { width: `${zoom * 100}%` }
+          }
+        >
+          {/* Year grid and labels */}
+          <div className={`absolute inset-0 ${isVertical ? "" : "top-6"} pointer-events-none`} aria-hidden="true">
+            {years.map((year) => {
+              const at = yearFraction(year);
+              const showLabel = (year - startYear) % labelStep === 0 && year < endYear;
+              return isVertical ? (
+                <div
+                  key={year}
+                  className="absolute left-0 right-0 border-t border-gray-200 dark:border-slate-700"
+                  style={{ top: `${(1 - at) * 100}%` }}
+                >
+                  {showLabel && (
+                    <span className="absolute left-0 bottom-1 text-xs text-gray-500 dark:text-slate-400">{year}</span>
+                  )}
+                </div>
+              ) : (
+                <div
+                  key={year}
+                  className="absolute top-0 bottom-0 border-l border-gray-200 dark:border-slate-700"
+                  style={{ left: `${at * 100}%` }}
+                >
+                  {showLabel && (
+                    <span className="absolute -top-6 left-1 text-xs text-gray-500 dark:text-slate-400">{year}</span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {/* One row (or column, on narrow screens) per lane */}
+          <div className={`relative flex ${isVertical ? "flex-row flex-1 ml-11 gap-1.5" : "flex-col gap-2 py-2"}`}>
+            {Array.from({ length: lanes }, (_, lane) => (
+              <div key={lane} className={`relative ${isVertical ? "flex-1" : "h-10"}`}>
+                {bars
+                  .filter((bar) => bar.lane === lane)
+                  .flatMap(({ milestone, spans }) =>
+                    spans.map(({ from, to }, spanIndex) => {
+                      const isExpanded = expandedId === milestone.id;
+                      const category = CATEGORIES[milestone.category] ?? CATEGORIES.academia;
+                      return (
+                        <button
+                          key={`${milestone.id}-${spanIndex}`}
+                          type="button"
+                          onClick={() => onToggle(milestone.id)}
+                          aria-expanded={isExpanded}
+                          aria-controls="career-timeline-details"
+                          aria-label={`${milestone.role}, ${milestone.institution}, ${milestone.duration}`}
+                          title={`${milestone.role} (${milestone.duration})`}
+                          className={`absolute overflow-hidden rounded-md px-2 text-xs font-medium text-left shadow-sm transition-colors duration-200 ${
+                            isVertical ? "inset-x-0 min-h-[1.5rem] py-1" : "inset-y-0 min-w-[0.75rem] flex items-center"
+                          } ${category.bar} ${focusRing} ${isExpanded ? "ring-2 ring-offset-2 ring-gray-800 dark:ring-white dark:ring-offset-slate-800" : ""}`}
+                          style={position(from, to)}
+                        >
+                          <span className={`block truncate ${isVertical ? "" : "w-full"}`}>{milestone.role}</span>
+                        </button>
+                      );
+                    }),
+                  )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div id="career-timeline-details">
+        {expanded ? (
+          <motion.div
+            key={expanded.id}
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            transition={{ duration: 0.3 }}
+            className="mt-4 pt-4 border-t border-emerald-200 dark:border-slate-700"
+          >
+            <TextPrimary as="h3" className="text-lg md:text-xl font-medium text-emerald-800 dark:text-emerald-300">
+              {expanded.role}
+            </TextPrimary>
+            <TextPrimary as="div" className="text-base text-emerald-700 dark:text-emerald-400 font-normal mt-1">
+              {expanded.institution}
+            </TextPrimary>
+            <TextMuted as="div" className="text-sm mb-2 mt-0.5">
+              {expanded.duration}
+            </TextMuted>
+            <TextSecondary as="p" className="leading-relaxed text-base mb-3">
+              {expanded.description}
+            </TextSecondary>
+            {expanded.moreDetails && (
+              <TextSecondary className="leading-relaxed text-sm whitespace-pre-line">
+                {expanded.moreDetails}
+              </TextSecondary>
+            )}
+          </motion.div>
+        ) : (
+          <TextMuted as="p" className="text-sm mt-3">
+            Select a bar to see the details of that role.
+          </TextMuted>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CareerTimeline;
@@ -0,0 +1,220 @@
+// CastPlayer.jsx
+// Import React, hooks, motion preferences, the terminal emulator and Lucide icons.
+import React, { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import { useReducedMotion } from "framer-motion";
+import { useInView } from "react-intersection-observer";
+import { Play, Pause, RotateCcw } from "lucide-react";
+import { cellStyleToCss, createScreen, toSpans } from "./utils/ansi";
+import { applyCastEvent, getCastTranscript, parseCast } from "./utils/asciicast";
+
+// Playback speeds offered in the speed menu.
+const SPEEDS = [0.5, 1, 2, 4];
+
+const controlClasses =
+  "rounded text-gray-300 hover:text-white hover:bg-gray-700 dark:hover:bg-slate-700 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-emerald-500";
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, "0")}`;
+
+/**
+ * CastPlayer Component: Plays an asciinema (asciicast v2) recording of a
+ * terminal session, with play/pause, speed control and seeking. The file is
+ * fetched once the player nears the viewport. Screen readers get the full
+ * transcript instead of the animated screen, and visitors who prefer reduced
+ * motion see only the transcript.
+ * @param {object} props - Component props.
+ * @param {string} props.src - URL of the .cast file.
+ * @param {string} props.title - What the recording shows, for accessible labels.
+ * @param {number} [props.maxIdle=2] - Longest pause to keep, in seconds.
+ * @param {string} [props.className] - CSS classes for the container.
+ */
+const CastPlayer = ({ src, title, maxIdle = 2, className = "" }) => {
+  const [cast, setCast] = useState(null);
+  const [hasError, setHasError] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [frame, setFrame] = useState(null);
+  const shouldReduceMotion = useReducedMotion();
+  const { ref: inViewRef, inView } = useInView({ triggerOnce: true, rootMargin: "200px 0px" });
+  // Screen, index of the next event and time it was rendered at.
+  const playbackRef = useRef(null);
+
+  // Fetch and parse the recording once it is about to be seen.
+  useEffect(() => {
+    if (!inView) return;
+    const controller = new AbortController();
+    setHasError(false);
+    fetch(src, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then((text) => setCast(parseCast(text, { maxIdle })))
+      .catch((error) => {
+        if (error.name === "AbortError") return;
+        console.warn(`Failed to load recording: ${src}`, error);
+        setHasError(true);
+      });
+    return () => controller.abort();
+  }, [inView, src, maxIdle]);
+
+  const transcript = useMemo(() => cast && getCastTranscript(cast), [cast]);
+
+  // Renders the screen at `time`, replaying from the start when seeking backwards.
+  const seek = useCallback(
+    (time) => {
+      let playback = playbackRef.current;
+      if (!playback || playback.cast !== cast || time < playback.time) {
+        playback = { cast, screen: createScreen(cast.width, cast.height), next: 0 };
+      }
+      const { events } = cast;
+      while (playback.next < events.length && events[playback.next].time <= time) {
+        applyCastEvent(playback.screen, events[playback.next]);
+        playback.next++;
+      }
+      playback.time = time;
+      playbackRef.current = playback;
+      setPosition(time);
+      setFrame({
+        rows: playback.screen.getRows(),
+        cursor: playback.screen.getCursor(),
+        cols: playback.screen.getSize().cols,
+      });
+    },
+    [cast],
+  );
+
+  // Show the first frame, and start playing unless motion is reduced.
+  useEffect(() => {
+    if (!cast) return;
+    seek(0);
+    setIsPlaying(!shouldReduceMotion);
+  }, [cast, seek, shouldReduceMotion]);
+
+  // Advance with the clock while playing.
+  useEffect(() => {
+    if (!isPlaying || !cast) return;
+    let frameId;
+    let last = performance.now();
+    const tick = (now) => {
+      const time = Math.min(cast.duration, playbackRef.current.time + ((now - last) / 1000) * speed);
+      last = now;
+      seek(time);
+      if (time >= cast.duration) {
+        setIsPlaying(false);
+        return;
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [isPlaying, speed, cast, seek]);
+
+  const togglePlay = () => {
+    if (!isPlaying && position >= cast.duration) seek(0);
+    setIsPlaying(!isPlaying);
+  };
+
+  if (hasError) {
+    return (
+      <div
+        ref={inViewRef}
+        className={`bg-gray-800 dark:bg-slate-900/80 rounded-lg p-4 flex items-center justify-center ${className}`}
+        role="img"
+        aria-label={`Failed to load recording: ${title}`}
+      >
+        <span className="text-gray-400 dark:text-slate-500 text-sm">Recording unavailable</span>
+      </div>
+    );
+  }
+
+  if (!cast || !frame) {
+    return (
+      <div
+        ref={inViewRef}
+        className={`bg-gray-800 dark:bg-slate-900/80 rounded-lg h-48 animate-pulse ${className}`}
+        aria-hidden="true"
+      />
+    );
+  }
+
+  // Reduced motion: the transcript on its own, like a static code block.
+  if (shouldReduceMotion) {
+    return (
+      <figure className={`bg-gray-800 dark:bg-slate-900/80 p-4 rounded-lg overflow-x-auto shadow-inner ${className}`}>
+        <figcaption className="sr-only">Transcript: {title}</figcaption>
+        <pre className="font-mono text-xs leading-relaxed text-gray-200 dark:text-slate-300">{transcript}</pre>
+      </figure>
+    );
+  }
+
+  const isAtEnd = position >= cast.duration;
+  const PlayIcon = isPlaying ? Pause : isAtEnd ? RotateCcw : Play;
+
+  return (
+    <figure className={`bg-gray-800 dark:bg-slate-900/80 rounded-lg shadow-inner overflow-hidden ${className}`}>
+      <figcaption className="sr-only">Terminal recording: {title}</figcaption>
+      {/* The animated screen is for sighted visitors; screen readers get the transcript below */}
+      <div className="p-4 overflow-x-auto" aria-hidden="true">
+        <div className="font-mono text-xs text-gray-200" style={{ width: `${frame.cols}ch`, lineHeight: 1.4 }}>
+          {frame.rows.map((cells, rowIndex) => {
+            const cursorCol = frame.cursor.visible && frame.cursor.row === rowIndex ? frame.cursor.col : undefined;
+            return (
+              <div key={rowIndex} className="whitespace-pre min-h-[1.4em]">
+                {toSpans(cells, cursorCol).map((span, spanIndex) => (
+                  <span
+                    key={spanIndex}
+                    style={cellStyleToCss(span.style)}
+                    className={span.isCursor ? "bg-gray-200 text-gray-900" : undefined}
+                  >
+                    {span.text}
+                  </span>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      <pre className="sr-only">{transcript}</pre>
+
+      <div className="flex items-center gap-2 px-3 py-1.5 border-t border-gray-700 dark:border-slate-700 text-xs">
+        <button
+          type="button"
+          onClick={togglePlay}
+          className={`p-1 ${controlClasses}`}
+          aria-label={isPlaying ? "Pause recording" : isAtEnd ? "Replay recording" : "Play recording"}
+        >
+          <PlayIcon size={14} aria-hidden="true" />
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={cast.duration}
+          step={0.1}
+          value={position}
+          onChange={(e) => seek(Number(e.target.value))}
+          className="flex-1 min-w-0 accent-emerald-500"
+          aria-label="Seek"
+          aria-valuetext={`${formatTime(position)} of ${formatTime(cast.duration)}`}
+        />
+        <span className="tabular-nums text-gray-400 dark:text-slate-500" aria-hidden="true">
+          {formatTime(position)} / {formatTime(cast.duration)}
+        </span>
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          className={`bg-transparent px-1 py-0.5 ${controlClasses}`}
+          aria-label="Playback speed"
+        >
+          {SPEEDS.map((value) => (
+            <option key={value} value={value} className="bg-gray-800 text-gray-200">
+              {value}×
+            </option>
+          ))}
+        </select>
+      </div>
+    </figure>
+  );
+};
+
+export default CastPlayer;
@@ -0,0 +1,155 @@
+// CitationMenu.jsx
+// Import React, hooks, Lucide icons, UI components and citation formatters.
+import React, { useState, useEffect, useRef, useId } from "react";
+import { Quote, Copy, Download, Check, ChevronDown } from "lucide-react";
+import { Button, focusRing } from "./components/UI";
+import { CITATION_FORMATS, downloadText } from "./utils/citations";
+
+/**
+ * CitationMenu Component: Dropdown to copy or download citations.
+ * Works for a single publication or a whole list ("download all").
+ * @param {object} props - Component props.
+ * @param {object[]} props.publications - Publications to export.
+ * @param {string} props.filename - Base file name for downloads (without extension).
+ * @param {string} [props.label="Cite"] - Text of the toggle button.
+ * @param {string} [props.align="left"] - Which edge of the button the menu aligns to.
+ */
+const CitationMenu = ({ publications, filename, label = "Cite", align = "left" }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  // Id of the last action that succeeded, e.g. "copy-apa", for feedback.
+  const [lastAction, setLastAction] = useState(null);
+  const [copyError, setCopyError] = useState(false);
+  const containerRef = useRef(null);
+  const toggleRef = useRef(null);
+  const menuId = useId();
+
+  // Close on outside click and on Escape (returning focus to the toggle).
+  useEffect(() => {
+    if (!isOpen) return;
+    const handlePointerDown = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        setIsOpen(false);
+        toggleRef.current?.focus();
+      }
+    };
+    document.addEventListener("pointerdown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("pointerdown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isOpen]);
+
+  // Clear the success feedback after a moment.
+  useEffect(() => {
+    if (!lastAction) return;
+    const timeoutId = setTimeout(() => setLastAction(null), 2000);
+    return () => clearTimeout(timeoutId);
+  }, [lastAction]);
+
+  const handleCopy = async (format) => {
+    setCopyError(false);
+    try {
+      await navigator.clipboard.writeText(format.formatAll(publications));
+      setLastAction(`copy-${format.id}`);
+    } catch {
+      // Clipboard access can be denied (e.g. insecure context); downloading still works.
+      setCopyError(true);
+    }
+  };
+
+  const handleDownload = (format) => {
+    // Plain-text styles share an extension, so the style goes in the name.
+    const baseName = format.extension === "txt" ? `${filename}-${format.id}` : filename;
+    downloadText(`${baseName}.${format.extension}`, format.formatAll(publications), format.mimeType);
+    setLastAction(`download-${format.id}`);
+  };
+
+  const actionClasses = `p-1.5 rounded text-gray-600 dark:text-slate-400 hover:text-emerald-700 dark:hover:text-emerald-300 hover:bg-emerald-100 dark:hover:bg-slate-600 transition-colors duration-200 ${focusRing}`;
+
+  return (
+    <div ref={containerRef} className="relative inline-block">
+      <Button
+        ref={toggleRef}
+        variant="ghost"
+        size="sm"
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        aria-controls={menuId}
+        className="gap-1.5 uppercase tracking-wider"
+      >
+        <Quote size={16} aria-hidden="true" />
+        {label}
+        <ChevronDown
+          size={16}
+          className={`transition-transform duration-200 ${isOpen ? "rotate-180" : ""}`}
+          aria-hidden="true"
+        />
+      </Button>
+
+      {isOpen && (
+        <div
+          id={menuId}
+          role="group"
+          aria-label={`${label} formats`}
+          className={`absolute z-20 mt-2 w-64 ${align === "right" ? "right-0" : "left-0"} bg-white dark:bg-slate-700 border border-emerald-100 dark:border-slate-600 rounded-lg shadow-xl py-2`}
+        >
+          <ul>
+            {CITATION_FORMATS.map((format) => (
+              <li
+                key={format.id}
+                className="flex items-center justify-between px-3 py-1 text-sm text-gray-800 dark:text-slate-200"
+              >
+                <span>{format.label}</span>
+                <span className="flex items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => handleCopy(format)}
+                    className={actionClasses}
+                    aria-label={`Copy ${format.label} citation`}
+                    title="Copy to clipboard"
+                  >
+                    {lastAction === `copy-${format.id}` ? (
+                      <Check size={16} className="text-emerald-600 dark:text-emerald-400" aria-hidden="true" />
+                    ) : (
+                      <Copy size={16} aria-hidden="true" />
+                    )}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDownload(format)}
+                    className={actionClasses}
+                    aria-label={`Download ${format.label} citation`}
+                    title="Download file"
+                  >
+                    {lastAction === `download-${format.id}` ? (
+                      <Check size={16} className="text-emerald-600 dark:text-emerald-400" aria-hidden="true" />
+                    ) : (
+                      <Download size={16} aria-hidden="true" />
+                    )}
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+          {copyError && (
+            <p className="px-3 pt-2 text-xs text-red-600 dark:text-red-400">
+              Could not access the clipboard. Try downloading instead.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Announce copy/download results to screen readers. */}
+      <span className="sr-only" aria-live="polite">
+        {lastAction?.startsWith("copy-") && "Citation copied to clipboard"}
+        {lastAction?.startsWith("download-") && "Citation downloaded"}
+      </span>
+    </div>
+  );
+};
+
+export default CitationMenu;
@@ -0,0 +1,222 @@
+// CollaborationNetwork.jsx
+// Import React, hooks, UI components and Lucide icons.
+import React, { useMemo, useState } from "react";
+import { Share2, Table2 } from "lucide-react";
+import { Button, TextMuted, focusRing } from "./components/UI";
+import { buildCoauthorGraph, runForceLayout } from "./utils/coauthorNetwork";
+
+const WIDTH = 640;
+const HEIGHT = 420;
+
+// Node radius grows with the number of joint papers.
+const nodeRadius = (count) => 6 + 4 * Math.sqrt(count);
+
+const paperLabel = (count) => `${count} joint paper${count === 1 ? "" : "s"}`;
+
+/**
+ * CollaborationNetwork Component: Force-directed graph of co-authors with a
+ * table view that lists the same data for keyboard and screen reader users.
+ * @param {object} props - Component props.
+ * @param {object[]} props.publications - Publication data.
+ * @param {string} props.selected - Co-author filter value (family name, any case).
+ * @param {function} props.onSelect - Called with a family name ("" clears the filter).
+ */
+const CollaborationNetwork = ({ publications, selected: filterValue, onSelect }) => {
+  const [view, setView] = useState("network");
+  const [activeId, setActiveId] = useState(null);
+
+  const { nodes, edges, positions } = useMemo(() => {
+    const graph = buildCoauthorGraph(publications);
+    return { ...graph, positions: runForceLayout(graph.nodes, graph.edges, { width: WIDTH, height: HEIGHT }) };
+  }, [publications]);
+
+  // Collaborators ordered by joint papers, then by name.
+  const collaborators = useMemo(
+    () =>
+      nodes
+        .filter((node) => !node.isOwner)
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+    [nodes],
+  );
+
+  // Links may carry the filter in any case, e.g. #publications?coauthor=moriarty
+  const selected = nodes.find((node) => !node.isOwner && node.id.toLowerCase() === filterValue.toLowerCase())?.id;
+
+  // Nodes connected to the hovered/focused node, or to the selected co-author.
+  const focusId = activeId || selected || null;
+  const neighbours = useMemo(() => {
+    if (!focusId) return null;
+    const ids = new Set([focusId]);
+    edges.forEach(({ source, target }) => {
+      if (source === focusId) ids.add(target);
+      if (target === focusId) ids.add(source);
+    });
+    return ids;
+  }, [edges, focusId]);
+
+  // Selecting the current co-author again clears the filter.
+  const toggle = (id) => onSelect(id === selected ? "" : id);
+
+  const handleKeyDown = (e, id) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      toggle(id);
+    }
+  };
+
+  const viewButton = (id, label, Icon) => (
+    <Button
+      variant={view === id ? "primary" : "ghost"}
+      size="sm"
+      aria-pressed={view === id}
+      onClick={() => setView(id)}
+    >
+      <Icon size={16} className="mr-1.5" aria-hidden="true" /> {label}
+    </Button>
+  );
+
+  return (
+    <div className="p-4 md:p-5 bg-white dark:bg-slate-800 rounded-lg border border-emerald-100 dark:border-slate-700">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <TextMuted as="p" className="text-sm">
+          {collaborators.length} co-authors across {publications.length} publications. Select a
+          collaborator to list the papers written together.
+        </TextMuted>
+        <div className="flex gap-2" role="group" aria-label="Network view">
+          {viewButton("network", "Network", Share2)}
+          {viewButton("table", "Table", Table2)}
+        </div>
+      </div>
+
+      {view === "network" ? (
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto"
+          role="group"
+          aria-label="Co-author network. Each circle is a co-author; lines join people who published together."
+        >
+          <g aria-hidden="true">
+            {edges.map(({ source, target, weight }) => {
+              const dimmed = neighbours && !(neighbours.has(source) && neighbours.has(target));
+              return (
+                <line
+                  key={`${source}|${target}`}
+                  x1={positions[source].x}
+                  y1={positions[source].y}
+                  x2={positions[target].x}
+                  y2={positions[target].y}
+                  strokeWidth={Math.min(1 + weight * 0.75, 4)}
+                  className="stroke-emerald-300 dark:stroke-slate-500 transition-opacity duration-200"
+                  opacity={dimmed ? 0.1 : 0.35 + Math.min(weight, 4) * 0.15}
+                />
+              );
+            })}
+          </g>
+          {nodes.map((node) => {
+            const { x, y } = positions[node.id];
+            const radius = nodeRadius(node.count);
+            const isSelected = node.id === selected;
+            const dimmed = neighbours && !neighbours.has(node.id);
+            // Keep the graph legible: names of frequent collaborators are always shown.
+            const showLabel = node.isOwner || node.count > 1 || node.id === focusId;
+            const circleClasses = node.isOwner
+              ? "fill-emerald-700 dark:fill-emerald-400"
+              : isSelected
+                ? "fill-amber-500 dark:fill-amber-400"
+                : "fill-emerald-400 dark:fill-emerald-600";
+
+            const content = (
+              <>
+                <circle cx={x} cy={y} r={radius} className={`${circleClasses} stroke-white dark:stroke-slate-800`} strokeWidth={2} />
+                {showLabel && (
+                  <text
+                    x={x}
+                    y={y + radius + 13}
+                    textAnchor="middle"
+                    className="text-[11px] fill-gray-700 dark:fill-slate-300 pointer-events-none select-none"
+                  >
+                    {node.isOwner ? "Junqueira" : node.id}
+                  </text>
+                )}
+              </>
+            );
+
+            if (node.isOwner) {
+              return (
+                <g key={node.id} aria-hidden="true" opacity={dimmed ? 0.3 : 1}>
+                  {content}
+                </g>
+              );
+            }
+
+            return (
+              <g
+                key={node.id}
+                role="button"
+                tabIndex={0}
+                aria-pressed={isSelected}
+                aria-label={`${node.label}: ${paperLabel(node.count)} (${node.years.join(", ")})`}
+                onClick={() => toggle(node.id)}
+                onKeyDown={(e) => handleKeyDown(e, node.id)}
+                onMouseEnter={() => setActiveId(node.id)}
+                onMouseLeave={() => setActiveId(null)}
+                onFocus={() => setActiveId(node.id)}
+                onBlur={() => setActiveId(null)}
+                opacity={dimmed ? 0.3 : 1}
+                className="cursor-pointer transition-opacity duration-200 focus:outline-none [&:focus-visible>circle]:stroke-emerald-500 [&:focus-visible>circle]:stroke-[3px]"
+              >
+                <title>{`${node.label} · ${paperLabel(node.count)}`}</title>
+                {content}
+              </g>
+            );
+          })}
+        </svg>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <caption className="sr-only">Co-authors and joint publications</caption>
+            <thead className="text-xs uppercase tracking-wider text-gray-600 dark:text-slate-400">
+              <tr>
+                <th scope="col" className="py-2 pr-4 font-medium">Collaborator</th>
+                <th scope="col" className="py-2 pr-4 font-medium">Joint papers</th>
+                <th scope="col" className="py-2 pr-4 font-medium">Years</th>
+                <th scope="col" className="py-2 font-medium">
+                  <span className="sr-only">Filter</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-emerald-100 dark:divide-slate-700">
+              {collaborators.map((node) => {
+                const isSelected = node.id === selected;
+                return (
+                  <tr key={node.id} className={isSelected ? "bg-emerald-50 dark:bg-slate-700/50" : undefined}>
+                    <th scope="row" className="py-2 pr-4 font-medium text-gray-800 dark:text-slate-200">
+                      {node.label}
+                    </th>
+                    <td className="py-2 pr-4 text-gray-700 dark:text-slate-300">{node.count}</td>
+                    <td className="py-2 pr-4 text-gray-700 dark:text-slate-300">
+                      {node.years.length > 1 ? `${node.years[0]}–${node.years[node.years.length - 1]}` : node.years[0]}
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        type="button"
+                        aria-pressed={isSelected}
+                        onClick={() => toggle(node.id)}
+                        className={`text-sm font-medium text-emerald-600 dark:text-emerald-400 hover:underline rounded-sm ${focusRing}`}
+                      >
+                        {isSelected ? "Show all" : "Show papers"}
+                        <span className="sr-only"> with {node.label}</span>
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollaborationNetwork;
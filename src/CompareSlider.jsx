@@ -0,0 +1,153 @@
+// CompareSlider.jsx
+// Import React, hooks, LazyImage and Lucide icons.
+import React, { useState, useRef } from "react";
+import { GripHorizontal, GripVertical } from "lucide-react";
+import LazyImage from "./LazyImage";
+
+// Divider movement per arrow key press, in percent.
+const KEY_STEP = 5;
+
+const clamp = (value) => Math.min(100, Math.max(0, value));
+
+/**
+ * CompareSlider Component: Shows two renders of the same scene on top of each
+ * other, split by a divider that can be dragged or moved with the keyboard.
+ * Both images load through LazyImage.
+ * @param {object} props - Component props.
+ * @param {string} props.before - Image name shown left of (or above) the divider.
+ * @param {string} props.after - Image name shown right of (or below) the divider.
+ * @param {string} props.alt - Description of the comparison.
+ * @param {string} [props.beforeLabel="Before"] - Label of the before image.
+ * @param {string} [props.afterLabel="After"] - Label of the after image.
+ * @param {"horizontal" | "vertical"} [props.orientation="horizontal"] - Direction the divider moves in.
+ * @param {string} [props.className] - CSS classes for the container; it needs a height.
+ * @param {string} [props.imageClassName="object-cover"] - CSS classes for both images.
+ * @param {string} [props.sizes] - Responsive sizes attribute.
+ * @param {boolean} [props.shouldLoad=true] - Whether to trigger loading.
+ */
+const CompareSlider = ({
+  before,
+  after,
+  alt,
+  beforeLabel = "Before",
+  afterLabel = "After",
+  orientation = "horizontal",
+  className = "",
+  imageClassName = "object-cover",
+  sizes,
+  shouldLoad = true,
+}) => {
+  // Share of the before image that is visible, in percent.
+  const [position, setPosition] = useState(50);
+  const containerRef = useRef(null);
+  const isDraggingRef = useRef(false);
+  const isHorizontal = orientation === "horizontal";
+
+  const moveToPointer = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const ratio = isHorizontal ? (e.clientX - rect.left) / rect.width : (e.clientY - rect.top) / rect.height;
+    setPosition(clamp(ratio * 100));
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    isDraggingRef.current = true;
+    moveToPointer(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (isDraggingRef.current) moveToPointer(e);
+  };
+
+  const handlePointerUp = () => {
+    isDraggingRef.current = false;
+  };
+
+  // Arrow keys move the divider; Home and End show only one image.
+  // Handled keys don't reach outer listeners such as the lightbox's.
+  const handleKeyDown = (e) => {
+    const keyPositions = {
+      ArrowLeft: position - KEY_STEP,
+      ArrowUp: position - KEY_STEP,
+      ArrowRight: position + KEY_STEP,
+      ArrowDown: position + KEY_STEP,
+      Home: 0,
+      End: 100,
+    };
+    if (!(e.key in keyPositions)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setPosition(clamp(keyPositions[e.key]));
+  };
+
+  const GripIcon = isHorizontal ? GripVertical : GripHorizontal;
+  const labelClasses =
+    "absolute px-2 py-0.5 rounded bg-black/60 text-white text-xs font-medium pointer-events-none";
+
+  return (
+    <div
+      ref={containerRef}
+      role="group"
+      aria-label={alt}
+      className={`relative overflow-hidden select-none ${isHorizontal ? "touch-pan-y cursor-ew-resize" : "touch-pan-x cursor-ns-resize"} ${className}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      <div className="absolute inset-0">
+        <LazyImage
+          imageName={before}
+          alt={`${alt} (${beforeLabel})`}
+          className={`w-full h-full ${imageClassName}`}
+          wrapperClassName="h-full"
+          sizes={sizes}
+          shouldLoad={shouldLoad}
+          draggable={false}
+        />
+      </div>
+      {/* The after image sits on top, cut away up to the divider */}
+      <div
+        className="absolute inset-0"
+        style={{ clipPath: isHorizontal ? `inset(0 0 0 ${position}%)` : `inset(${position}% 0 0 0)` }}
+      >
+        <LazyImage
+          imageName={after}
+          alt={`${alt} (${afterLabel})`}
+          className={`w-full h-full ${imageClassName}`}
+          wrapperClassName="h-full"
+          sizes={sizes}
+          shouldLoad={shouldLoad}
+          draggable={false}
+        />
+      </div>
+
+      <span className={`${labelClasses} top-2 left-2`}>{beforeLabel}</span>
+      <span className={`${labelClasses} ${isHorizontal ? "top-2 right-2" : "bottom-2 left-2"}`}>{afterLabel}</span>
+
+      {/* Divider and its handle, which carries the slider semantics */}
+      <div
+        className={`absolute bg-white shadow-[0_0_4px_rgba(0,0,0,0.5)] pointer-events-none ${isHorizontal ? "inset-y-0 w-0.5 -translate-x-1/2" : "inset-x-0 h-0.5 -translate-y-1/2"}`}
+        style={isHorizontal ? { left: `${position}%` } : { top: `${position}%` }}
+        aria-hidden="true"
+      />
+      <div
+        role="slider"
+        tabIndex={0}
+        aria-label={`${beforeLabel} and ${afterLabel} divider`}
+        aria-orientation={orientation}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(position)}
+        aria-valuetext={`${Math.round(position)}% ${beforeLabel}, ${100 - Math.round(position)}% ${afterLabel}`}
+        onKeyDown={handleKeyDown}
+        className="absolute -translate-x-1/2 -translate-y-1/2 flex items-center justify-center w-9 h-9 rounded-full bg-white text-gray-700 shadow-md focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2"
+        style={isHorizontal ? { left: `${position}%`, top: "50%" } : { left: "50%", top: `${position}%` }}
+      >
+        <GripIcon size={18} aria-hidden="true" />
+      </div>
+    </div>
+  );
+};
+
+export default CompareSlider;
@@ -0,0 +1,98 @@
+// ImageInfoPanel.jsx
+// Import React, hooks, image metadata utilities and Lucide icons.
+import React, { useState, useId } from "react";
+import { ChevronDown, ExternalLink, Info } from "lucide-react";
+import { getImageMetadata, getRenderDetails } from "./utils/imageMetadata";
+import { focusRing } from "./components/UI";
+
+// Colours for the light (card) and dark (lightbox) backgrounds.
+const TONES = {
+  light: {
+    focus: focusRing,
+    toggle: "text-emerald-600 dark:text-emerald-400 hover:text-emerald-800 dark:hover:text-emerald-300",
+    panel: "bg-emerald-50/60 dark:bg-slate-700/40 text-gray-700 dark:text-slate-300",
+    label: "text-gray-500 dark:text-slate-400",
+    link: "text-emerald-700 dark:text-emerald-400 hover:underline",
+  },
+  dark: {
+    focus: "focus:outline-none focus:ring-2 focus:ring-white",
+    toggle: "text-slate-200 hover:text-white",
+    panel: "bg-black/50 text-slate-200",
+    label: "text-slate-400",
+    link: "text-emerald-300 hover:underline",
+  },
+};
+
+/**
+ * ImageInfoPanel Component: Collapsible render details (engine, samples,
+ * Blender version, scene description, source data...) from an image's
+ * metadata sidecar. Renders nothing when the image has no sidecar.
+ * @param {object} props - Component props.
+ * @param {string} props.imageName - Image name in src/assets (without extension).
+ * @param {"light" | "dark"} [props.tone="light"] - Colours to match the background.
+ * @param {string} [props.className] - CSS classes for the wrapper.
+ */
+const ImageInfoPanel = ({ imageName, tone = "light", className = "" }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const panelId = useId();
+  const metadata = getImageMetadata(imageName);
+  if (!metadata) return null;
+
+  const details = getRenderDetails(metadata);
+  const { description, sourceData } = metadata;
+  const colors = TONES[tone];
+
+  return (
+    <div className={`text-left text-xs ${className}`}>
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        aria-controls={panelId}
+        className={`inline-flex items-center gap-1 font-medium rounded-sm ${colors.focus} ${colors.toggle}`}
+      >
+        <Info size={14} aria-hidden="true" />
+        {isOpen ? "Hide render details" : "Render details"}
+        <ChevronDown
+          size={14}
+          className={`transition-transform ${isOpen ? "rotate-180" : ""}`}
+          aria-hidden="true"
+        />
+      </button>
+
+      <div id={panelId} hidden={!isOpen} className={`mt-2 rounded-md p-3 ${colors.panel}`}>
+        {description && <p className="mb-2 leading-relaxed">{description}</p>}
+        {details.length > 0 && (
+          <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1">
+            {details.map(({ label, value }) => (
+              <React.Fragment key={label}>
+                <dt className={colors.label}>{label}</dt>
+                <dd>{value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+        {sourceData && (
+          <p className="mt-2">
+            <span className={colors.label}>Source data: </span>
+            {sourceData.url ? (
+              <a
+                href={sourceData.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className={`inline-flex items-center gap-0.5 rounded-sm ${colors.focus} ${colors.link}`}
+              >
+                {sourceData.name}
+                <ExternalLink size={12} aria-hidden="true" />
+              </a>
+            ) : (
+              sourceData.name
+            )}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImageInfoPanel;
@@ -0,0 +1,56 @@
+// ImageMasonry.jsx
+// Import React, intersection observer, LazyImage and UI helpers.
+import React from "react";
+import { useInView } from "react-intersection-observer";
+import LazyImage from "./LazyImage";
+import { focusRing } from "./components/UI";
+
+/**
+ * MasonryTile Component: One image of the masonry, loaded once it nears the viewport.
+ * @param {object} props - Component props.
+ * @param {object} props.item - Image item (see ImageMasonry).
+ */
+const MasonryTile = ({ item }) => {
+  const { ref, inView } = useInView({ triggerOnce: true, rootMargin: "300px 0px" });
+
+  return (
+    <li ref={ref} className="mb-4 break-inside-avoid">
+      <button
+        type="button"
+        onClick={item.onOpen}
+        className={`relative block w-full overflow-hidden rounded-md shadow-sm ${focusRing}`}
+        aria-label={`Open ${item.caption} in viewer`}
+      >
+        <LazyImage
+          imageName={item.imageName}
+          alt={item.alt}
+          className="w-full h-auto transition-transform duration-300 ease-in-out hover:scale-105 cursor-pointer"
+          sizes="(max-width: 640px) 100vw, (max-width: 1024px) 50vw, 33vw"
+          shouldLoad={inView}
+        />
+        {item.badge && (
+          <span className="absolute top-2 left-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs font-medium">
+            {item.badge}
+          </span>
+        )}
+      </button>
+    </li>
+  );
+};
+
+/**
+ * ImageMasonry Component: Shows images at their natural aspect ratio in
+ * balanced columns. Images load as they scroll into view.
+ * @param {object} props - Component props.
+ * @param {{ key: string, imageName: string, alt: string, caption: string, badge?: string, onOpen: function }[]} props.items - Images in reading order.
+ * @param {string} [props.label] - Accessible name of the list.
+ */
+const ImageMasonry = ({ items, label }) => (
+  <ul className="columns-1 sm:columns-2 lg:columns-3 gap-4" aria-label={label}>
+    {items.map((item) => (
+      <MasonryTile key={item.key} item={item} />
+    ))}
+  </ul>
+);
+
+export default ImageMasonry;
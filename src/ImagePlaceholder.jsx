@@ -0,0 +1,41 @@
+// ImagePlaceholder.jsx
+import React from "react";
+
+/**
+ * ImagePlaceholder Component: Blurred low-quality preview shown while an
+ * image loads. Falls back to a pulsing skeleton when no preview exists.
+ * @param {object} props - Component props
+ * @param {string} [props.placeholder] - Data URI of the tiny preview image
+ * @param {boolean} [props.isVisible=true] - Fades the placeholder out when false
+ * @param {number} [props.aspectRatio] - Reserves space when the height isn't fixed by className
+ * @param {string} [props.className] - CSS classes (size and rounding)
+ */
+const ImagePlaceholder = ({ placeholder, isVisible = true, aspectRatio, className = "" }) => {
+  if (!placeholder) {
+    return isVisible ? (
+      <div
+        className={`bg-gradient-to-r from-gray-200 via-gray-300 to-gray-200 dark:from-slate-700 dark:via-slate-600 dark:to-slate-700 animate-pulse rounded ${className}`}
+        style={{ aspectRatio }}
+        aria-hidden="true"
+      />
+    ) : null;
+  }
+
+  // The fade is an inline style so transition classes in className can't
+  // override it; the reduced-motion rule in index.css still makes it instant.
+  return (
+    <div
+      className={`overflow-hidden pointer-events-none ${className}`}
+      style={{ aspectRatio, opacity: isVisible ? 1 : 0, transition: "opacity 500ms ease-out" }}
+      aria-hidden="true"
+    >
+      {/* Scaled up slightly so the blur doesn't fade out at the edges */}
+      <div
+        className="w-full h-full scale-110 blur-lg bg-cover bg-center"
+        style={{ backgroundImage: `url("${placeholder}")` }}
+      />
+    </div>
+  );
+};
+
+export default ImagePlaceholder;
@@ -1,9 +1,12 @@
 // LazyImage.jsx
-import React, { useState, useEffect } from "react";
+import React from "react";
 import OptimizedImage from "./OptimizedImage";
+import ImagePlaceholder from "./ImagePlaceholder";
+import { getImage } from "./utils/imageAssets";
 
 /**
- * LazyImage Component: Dynamically loads images on demand
+ * LazyImage Component: Shows an image from src/assets by name, once loading
+ * is triggered (until then, its blurred placeholder)
  * @param {object} props - Component props
  * @param {string} props.imageName - Name of the image to load (without extension)
  * @param {string} props.alt - Alt text for accessibility
@@ -25,51 +28,11 @@ const LazyImage = ({
   shouldLoad = true,
   ...props
 }) => {
-  const [imageUrl, setImageUrl] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-  const [hasError, setHasError] = useState(false);
+  const image = getImage(imageName);
 
-  useEffect(() => {
-    if (!shouldLoad || !imageName) return;
-
-    const loadImage = async () => {
-      setIsLoading(true);
-      setHasError(false);
-      
-      try {
-        // Try WebP first
-        try {
-          const webpModule = await import(`./assets/${imageName}.webp`);
-          setImageUrl(webpModule.default);
-        } catch (webpError) {
-          // Fallback to PNG
-          const pngModule = await import(`./assets/${imageName}.png`);
-          setImageUrl(pngModule.default);
-        }
-      } catch (error) {
-        console.warn(`Failed to load image: ${imageName}`, error);
-        setHasError(true);
-        if (onError) onError(error);
-      } finally {
-        setIsLoading(false);
-      }
-    };
-
-    loadImage();
-  }, [imageName, shouldLoad, onError]);
-
-  // Show loading state
-  if (isLoading || !imageUrl) {
-    return (
-      <div 
-        className={`bg-gradient-to-r from-gray-200 via-gray-300 to-gray-200 dark:from-slate-700 dark:via-slate-600 dark:to-slate-700 animate-pulse rounded ${className}`}
-        aria-hidden="true"
-      />
-    );
-  }
-
-  // Show error state
-  if (hasError) {
+  // Show error state. Names used in src/data are checked at build time, so
+  // this only happens for names passed in from elsewhere.
+  if (!image) {
     return (
       <div 
         className={`bg-gray-100 dark:bg-slate-800 flex items-center justify-center ${className}`}
@@ -83,13 +46,18 @@ const LazyImage = ({
     );
   }
 
+  // Until loading is triggered, show the blurred preview from the manifest
+  if (!shouldLoad) {
+    return <ImagePlaceholder placeholder={image.placeholder} aspectRatio={image.aspectRatio} className={className} />;
+  }
+
   // Render loaded image
   return (
     <OptimizedImage
-      src={imageUrl}
+      image={image}
       alt={alt}
       className={className}
-      onClick={() => onClick && onClick(imageUrl)}
+      onClick={() => onClick && onClick(image.src)}
       onError={onError}
       sizes={sizes}
       priority={priority}
@@ -0,0 +1,159 @@
+// Lightbox.jsx
+// Import React, hooks, motion, image viewers, ImageInfoPanel and Lucide icons.
+import React, { useEffect, useRef } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { ChevronLeft, ChevronRight, X } from "lucide-react";
+import ZoomableImage from "./ZoomableImage";
+import ImageInfoPanel from "./ImageInfoPanel";
+import MediaViewer from "./MediaViewer";
+import { useFocusTrap } from "./hooks/useFocusTrap";
+import { getMediaKey, getPrimaryImage } from "./utils/media";
+
+/**
+ * Lightbox Component: Full-screen viewer for a sequence of images,
+ * comparisons, videos and turntables.
+ * Render it inside <AnimatePresence> so it can animate in and out.
+ * @param {object} props - Component props.
+ * @param {(import("./utils/media").Media & { alt: string, caption?: string })[]} props.images - Normalized media sequence.
+ * @param {number} props.index - Index of the image shown.
+ * @param {function} props.onIndexChange - Called with the index to show next.
+ * @param {function} props.onClose - Closes the lightbox.
+ * @param {string} [props.title] - Accessible name of the dialog, e.g. the project title.
+ */
+const Lightbox = ({ images, index, onIndexChange, onClose, title = "Image viewer" }) => {
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const image = images[index];
+  const hasMultiple = images.length > 1;
+
+  useFocusTrap(dialogRef, true, closeButtonRef);
+
+  const showPrevious = () => onIndexChange((index - 1 + images.length) % images.length);
+  const showNext = () => onIndexChange((index + 1) % images.length);
+
+  // Keyboard controls: Escape closes, arrow keys move through the sequence.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      } else if (e.key === "ArrowLeft" && hasMultiple) {
+        onIndexChange((index - 1 + images.length) % images.length);
+      } else if (e.key === "ArrowRight" && hasMultiple) {
+        onIndexChange((index + 1) % images.length);
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [index, images.length, hasMultiple, onClose, onIndexChange]);
+
+  // Keep the page behind the lightbox from scrolling.
+  useEffect(() => {
+    const { overflow } = document.body.style;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, []);
+
+  const navButtonClasses =
+    "absolute top-1/2 -translate-y-1/2 text-white bg-black/40 rounded-full p-2 hover:bg-black/60 transition-colors focus:outline-none focus:ring-2 focus:ring-white";
+
+  return (
+    <motion.div
+      ref={dialogRef}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      className="fixed inset-0 bg-black/80 backdrop-blur-sm z-50 flex flex-col items-center justify-center p-4"
+      aria-modal="true"
+      role="dialog"
+      aria-label={title}
+      tabIndex={-1}
+    >
+      <motion.button
+        ref={closeButtonRef}
+        initial={{ scale: 0, rotate: -90 }}
+        animate={{ scale: 1, rotate: 0 }}
+        exit={{ scale: 0, rotate: -90 }}
+        transition={{ type: "spring", stiffness: 300, damping: 20 }}
+        onClick={onClose}
+        className="absolute top-5 right-5 z-10 text-white bg-black/40 rounded-full p-2 hover:bg-black/60 transition-colors focus:outline-none focus:ring-2 focus:ring-white"
+        aria-label="Close image view"
+      >
+        <X size={30} aria-hidden="true" />
+      </motion.button>
+
+      <figure
+        onClick={(e) => e.stopPropagation()}
+        className="relative flex flex-col items-center max-w-[90vw]"
+      >
+        <AnimatePresence mode="wait" initial={false}>
+          <motion.div
+            key={getMediaKey(image)}
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.2 }}
+          >
+            {image.type !== "image" ? (
+              <MediaViewer
+                media={image}
+                alt={image.alt}
+                isLightbox={true}
+                className="w-[90vw] max-w-5xl h-[70vh] rounded-lg shadow-2xl"
+                sizes="90vw"
+              />
+            ) : (
+              <ZoomableImage
+                imageName={image.imageName}
+                alt={image.alt}
+                className="max-w-[90vw] max-h-[70vh]"
+                onSwipe={hasMultiple ? (direction) => (direction === "next" ? showNext() : showPrevious()) : undefined}
+              />
+            )}
+          </motion.div>
+        </AnimatePresence>
+
+        <figcaption className="mt-4 text-center text-sm text-slate-200">
+          {image.caption && <span className="block mb-1">{image.caption}</span>}
+          {hasMultiple && (
+            <span className="text-xs text-slate-400" aria-live="polite">
+              {index + 1} of {images.length}
+            </span>
+          )}
+          <ImageInfoPanel imageName={getPrimaryImage(image)} tone="dark" className="mt-2 max-w-md mx-auto" />
+        </figcaption>
+      </figure>
+
+      {hasMultiple && (
+        <>
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              showPrevious();
+            }}
+            className={`${navButtonClasses} left-3 md:left-6`}
+            aria-label="Previous image"
+          >
+            <ChevronLeft size={30} aria-hidden="true" />
+          </button>
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              showNext();
+            }}
+            className={`${navButtonClasses} right-3 md:right-6`}
+            aria-label="Next image"
+          >
+            <ChevronRight size={30} aria-hidden="true" />
+          </button>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default Lightbox;
@@ -0,0 +1,60 @@
+// MediaViewer.jsx
+// Import React and the viewers for each media type.
+import React from "react";
+import CompareSlider from "./CompareSlider";
+import VideoPlayer from "./VideoPlayer";
+import TurntableViewer from "./TurntableViewer";
+
+/**
+ * MediaViewer Component: Renders an interactive gallery entry (comparison,
+ * video or turntable) with the viewer for its type. Still images are shown
+ * by LazyImage or ZoomableImage instead.
+ * @param {object} props - Component props.
+ * @param {import("./utils/media").Media} props.media - Normalized media.
+ * @param {string} props.alt - Description of the media.
+ * @param {boolean} [props.isLightbox=false] - Fit the media and show playback controls.
+ * @param {string} [props.className] - CSS classes for the viewer; it needs a height.
+ * @param {string} [props.sizes] - Responsive sizes attribute.
+ * @param {boolean} [props.shouldLoad=true] - Whether to trigger loading of comparison images.
+ */
+const MediaViewer = ({ media, alt, isLightbox = false, className = "", sizes, shouldLoad = true }) => {
+  const imageClassName = isLightbox ? "object-contain" : "object-cover";
+
+  switch (media.type) {
+    case "compare":
+      return (
+        <CompareSlider
+          {...media}
+          alt={alt}
+          className={className}
+          imageClassName={imageClassName}
+          sizes={sizes}
+          shouldLoad={shouldLoad}
+        />
+      );
+    case "video":
+      return (
+        <VideoPlayer
+          video={media.video}
+          poster={media.poster}
+          alt={alt}
+          controls={isLightbox}
+          className={`${imageClassName} ${className}`}
+        />
+      );
+    case "sequence":
+      return (
+        <TurntableViewer
+          frames={media.frames}
+          alt={alt}
+          className={className}
+          imageClassName={imageClassName}
+          sizes={sizes}
+        />
+      );
+    default:
+      return null;
+  }
+};
+
+export default MediaViewer;
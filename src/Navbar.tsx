@@ -5,8 +5,7 @@ import { motion } from "framer-motion";
 // Import Lucide icons.
 import { Sun, Moon } from "lucide-react";
 // Import assets.
-import profilePic from "./assets/captainbroccoli.png"; // Ensure this path is correct
-import profilePicWebP from "./assets/captainbroccoli.webp"; // WebP version for optimization
+import profilePic from "./assets/captainbroccoli.png?responsive"; // AVIF/WebP/JPEG variants with intrinsic size
 // Import OptimizedImage component
 import OptimizedImage from "./OptimizedImage";
 
@@ -61,8 +60,7 @@ const Navbar = ({ setActiveSection, toggleDarkMode, isDarkMode }) => {
               className="mr-3"
             >
               <OptimizedImage
-                src={profilePic}
-                webpSrc={profilePicWebP}
+                image={profilePic}
                 alt="Filipe L. Q. Junqueira - Profile Picture"
                 className="w-10 h-10 rounded-full object-cover focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-300 dark:focus:ring-emerald-500 focus:ring-offset-emerald-600 dark:focus:ring-offset-slate-800"
                 priority={true}
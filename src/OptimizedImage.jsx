@@ -1,13 +1,17 @@
 // OptimizedImage.jsx
 import React, { useState } from "react";
+import ImagePlaceholder from "./ImagePlaceholder";
 
 /**
- * OptimizedImage Component: Handles responsive images with WebP fallback
+ * OptimizedImage Component: Renders a responsive image from the
+ * responsive-images plugin (`import image from "./photo.png?responsive"`)
+ * as a <picture> with AVIF and WebP sources and a JPEG/PNG fallback,
+ * cross-fading from its blurred placeholder once loaded
  * @param {object} props - Component props
- * @param {string} props.src - Image source URL (fallback format)
- * @param {string} [props.webpSrc] - WebP source URL (if available)
+ * @param {{ src: string, srcset: string, sources: { type: string, srcset: string }[], placeholder?: string, width: number, height: number, aspectRatio: number }} props.image - Responsive image
  * @param {string} props.alt - Alt text for accessibility
  * @param {string} [props.className] - CSS classes
+ * @param {string} [props.wrapperClassName] - CSS classes for the wrapper, e.g. "h-full"
  * @param {string} [props.loading="lazy"] - Loading strategy
  * @param {function} [props.onClick] - Click handler
  * @param {function} [props.onError] - Error handler
@@ -15,31 +19,21 @@ import React, { useState } from "react";
  * @param {boolean} [props.priority=false] - Whether image is above fold
  */
 const OptimizedImage = ({
-  src,
-  webpSrc,
+  image,
   alt,
   className = "",
+  wrapperClassName = "",
   loading = "lazy",
   onClick,
   onError,
   sizes = "(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw",
   priority = false,
+  style,
   ...props
 }) => {
   const [hasError, setHasError] = useState(false);
   const [isLoaded, setIsLoaded] = useState(false);
 
-  // Use provided WebP source or auto-generate from original src
-  const getWebPSrc = (originalSrc) => {
-    if (webpSrc) return webpSrc;
-    
-    const lastDotIndex = originalSrc.lastIndexOf('.');
-    if (lastDotIndex !== -1) {
-      return originalSrc.substring(0, lastDotIndex) + '.webp';
-    }
-    return originalSrc;
-  };
-
   const handleError = () => {
     setHasError(true);
     if (onError) onError();
@@ -53,28 +47,30 @@ const OptimizedImage = ({
   const loadingStrategy = priority ? "eager" : loading;
 
   return (
-    <div className="relative">
-      {!isLoaded && (
-        <div 
-          className={`absolute inset-0 bg-gradient-to-r from-gray-200 via-gray-300 to-gray-200 dark:from-slate-700 dark:via-slate-600 dark:to-slate-700 animate-pulse rounded ${className}`}
-          aria-hidden="true"
-        />
-      )}
-      
+    <div className={`relative ${wrapperClassName}`}>
+      <ImagePlaceholder
+        placeholder={image.placeholder}
+        isVisible={!isLoaded}
+        className={`absolute inset-0 ${className}`}
+      />
+
       <picture>
-        {/* WebP source for modern browsers */}
-        <source 
-          srcSet={getWebPSrc(src)} 
-          type="image/webp"
-          sizes={sizes}
-        />
-        
-        {/* Fallback to original format */}
+        {/* Modern formats first; the browser picks the first type it supports */}
+        {image.sources.map((source) => (
+          <source key={source.type} srcSet={source.srcset} type={source.type} sizes={sizes} />
+        ))}
+
+        {/* Fallback to JPEG/PNG; the intrinsic size lets the browser reserve space before loading */}
         <img
-          src={src}
+          src={image.src}
+          srcSet={image.srcset}
           alt={alt}
+          width={image.width}
+          height={image.height}
+          style={{ aspectRatio: image.aspectRatio, ...style }}
           className={`${className} ${isLoaded ? 'opacity-100' : 'opacity-0'} transition-opacity duration-300`}
           loading={loadingStrategy}
+          fetchPriority={priority ? "high" : undefined}
           onClick={onClick}
           onError={handleError}
           onLoad={handleLoad}
@@ -82,9 +78,9 @@ const OptimizedImage = ({
           {...props}
         />
       </picture>
-      
+
       {hasError && (
-        <div 
+        <div
           className={`absolute inset-0 bg-gray-100 dark:bg-slate-800 flex items-center justify-center ${className}`}
           role="img"
           aria-label={`Failed to load image: ${alt}`}
@@ -98,4 +94,4 @@ const OptimizedImage = ({
   );
 };
 
-export default OptimizedImage;
\ No newline at end of file
+export default OptimizedImage;
@@ -1,6 +1,6 @@
 // ProjectCard.jsx
 // Import React and necessary hooks from the 'react' library.
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 // Import specific icons from 'lucide-react'.
 import {
   Image as ImageIcon,
@@ -11,11 +11,17 @@ import {
   ArrowLeftCircle,
   ArrowRightCircle,
   ExternalLink,
+  Maximize2,
 } from "lucide-react";
 // Import LazyImage component for dynamic loading
 import LazyImage from "./LazyImage";
+// Comparison, video and turntable gallery entries
+import MediaViewer from "./MediaViewer";
+// Render details from the active gallery image's metadata sidecar
+import ImageInfoPanel from "./ImageInfoPanel";
 // Import UI components for consistency
-import { Article, Button, IconButton, Link, TextPrimary, TextSecondary, focusRing } from "./components/UI";
+import { Article, Button, IconButton, Link, Tag, TextPrimary, TextSecondary, focusRing } from "./components/UI";
+import { getPrimaryImage, normalizeMedia } from "./utils/media";
 
 /**
  * ProjectCard Component: Displays details for a single project.
@@ -23,30 +29,38 @@ import { Article, Button, IconButton, Link, TextPrimary, TextSecondary, focusRin
  * @param {string} props.title - Project title.
  * @param {string} props.description - Project description.
  * @param {string} [props.artisticStatement] - Optional artistic statement.
+ * @param {string[]} [props.tags] - Project tags.
  * @param {string} props.mainImage - Name of the main project image.
- * @param {string[]} props.galleryImages - Array of image names for gallery images.
+ * @param {(string|object)[]} props.galleryImages - Gallery entries: image names or media objects (see utils/media.js).
  * @param {string} [props.imagePlaceholderColor] - Background for image placeholder.
  * @param {string} [props.link] - Optional external link.
  * @param {string} props.type - Type of project (e.g., "blender", "code").
+ * @param {string} [props.anchorId] - Element id, used as a deep-link target.
  * @param {boolean} props.isGalleryOpen - State if gallery is expanded.
- * @param {function} props.onImageClick - Callback to open an image in the lightbox.
+ * @param {function} [props.onToggleGallery] - Opens or closes the gallery.
+ * @param {number} [props.currentImageIndex=0] - Index of the gallery image shown.
+ * @param {function} [props.onImageIndexChange] - Called with the gallery index to show.
+ * @param {function} props.onImageClick - Opens the lightbox at an index of [mainImage, ...galleryImages].
  */
 const ProjectCard = ({
   title,
   description,
   artisticStatement,
+  tags = [],
   mainImage,
   galleryImages,
   imagePlaceholderColor,
   link,
   type,
-  isGalleryOpen, // This prop remains, but is now controlled globally
+  anchorId,
+  isGalleryOpen, // Controlled by the parent so deep links can open it
+  onToggleGallery,
+  currentImageIndex = 0, // Controlled by the parent so it can be deep-linked
+  onImageIndexChange,
   onImageClick,
 }) => {
   // State for expanding/collapsing the description text.
   const [isDescriptionExpanded, setIsDescriptionExpanded] = useState(false);
-  // State for the currently displayed image index in the gallery.
-  const [currentImageIndex, setCurrentImageIndex] = useState(0);
 
   // Toggles the 'isDescriptionExpanded' state.
   const toggleDescription = () =>
@@ -56,24 +70,21 @@ const ProjectCard = ({
   const nextImage = (e) => {
     e.stopPropagation();
     if (galleryImages && galleryImages.length > 0)
-      setCurrentImageIndex((prev) => (prev + 1) % galleryImages.length);
+      onImageIndexChange?.((currentImageIndex + 1) % galleryImages.length);
   };
 
   // Moves to the previous image in the gallery.
   const prevImage = (e) => {
     e.stopPropagation();
     if (galleryImages && galleryImages.length > 0)
-      setCurrentImageIndex(
-        (prev) => (prev - 1 + galleryImages.length) % galleryImages.length,
+      onImageIndexChange?.(
+        (currentImageIndex - 1 + galleryImages.length) % galleryImages.length,
       );
   };
 
-  // Effect to reset gallery to first image when closed.
-  useEffect(() => {
-    if (type === "blender" && !isGalleryOpen) {
-      setCurrentImageIndex(0);
-    }
-  }, [isGalleryOpen, type]);
+  const galleryId = `${title.replace(/\s+/g, "-").toLowerCase()}-gallery`;
+  const currentMedia = galleryImages?.length ? normalizeMedia(galleryImages[currentImageIndex]) : null;
+  const currentAlt = `${title} - Gallery Image ${currentImageIndex + 1} of ${galleryImages?.length}`;
 
   // Error handler for images.
   const imageErrorHandler = (e) => {
@@ -82,19 +93,23 @@ const ProjectCard = ({
   };
 
   return (
-    <Article>
+    <Article id={anchorId}>
       {type === "blender" && mainImage ? (
-        <div className="overflow-hidden rounded-md mb-5 shadow-sm">
+        <button
+          type="button"
+          onClick={() => onImageClick(0)}
+          className={`block w-full overflow-hidden rounded-md mb-5 shadow-sm ${focusRing}`}
+          aria-label={`Open ${title} images in viewer`}
+        >
           <LazyImage
             imageName={mainImage}
             alt={`Main image for ${title} - ${type} project`}
             className="w-full h-52 md:h-60 object-cover transition-transform duration-300 ease-in-out hover:scale-105 cursor-pointer"
             onError={imageErrorHandler}
-            onClick={onImageClick}
             sizes="(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw"
             priority={true}
           />
-        </div>
+        </button>
       ) : (
         <div
           className={`w-full h-52 md:h-60 rounded-md flex items-center justify-center text-white dark:text-slate-300 text-xl font-semibold mb-5 ${imagePlaceholderColor || "bg-gray-300 dark:bg-slate-700"}`}
@@ -116,6 +131,16 @@ const ProjectCard = ({
         {title}
       </TextPrimary>
 
+      {tags.length > 0 && (
+        <ul className="flex flex-wrap gap-1.5 mb-3" aria-label="Tags">
+          {tags.map((tag) => (
+            <li key={tag}>
+              <Tag className="text-xs capitalize">{tag}</Tag>
+            </li>
+          ))}
+        </ul>
+      )}
+
       <div className="flex-grow">
         <TextSecondary 
           as="p"
@@ -150,8 +175,23 @@ const ProjectCard = ({
         </Button>
       )}
 
-      <div className="mt-auto">
-        {/* The "View/Hide Images" button has been REMOVED from here */}
+      <div className="mt-auto flex flex-wrap gap-3">
+        {type === "blender" && galleryImages?.length > 0 && onToggleGallery && (
+          <Button
+            onClick={onToggleGallery}
+            variant="outline"
+            size="sm"
+            aria-expanded={isGalleryOpen}
+            aria-controls={galleryId}
+          >
+            {isGalleryOpen ? "Hide Images" : `View Images (${galleryImages.length})`}
+            {isGalleryOpen ? (
+              <ChevronUp size={18} className="ml-1" aria-hidden="true" />
+            ) : (
+              <ImageIcon size={18} className="ml-1" aria-hidden="true" />
+            )}
+          </Button>
+        )}
         {link && (
           <Link
             href={link}
@@ -164,27 +204,53 @@ const ProjectCard = ({
         )}
       </div>
 
-      {/* This gallery display logic now depends on the globally controlled isGalleryOpen prop */}
+      {/* Gallery: one entry at a time, opened by the button above */}
       {type === "blender" &&
         isGalleryOpen &&
         galleryImages &&
         galleryImages.length > 0 && (
           <div
-            id={`${title.replace(/\s+/g, "-").toLowerCase()}-gallery`}
+            id={galleryId}
             className="mt-4 pt-4 border-t border-emerald-200 dark:border-slate-700"
           >
             <div className="relative mb-2">
-              <div className="overflow-hidden rounded-md">
-                <LazyImage
-                  imageName={galleryImages[currentImageIndex]}
-                  alt={`${title} - Gallery Image ${currentImageIndex + 1} of ${galleryImages.length}`}
-                  className="w-full h-60 md:h-72 object-cover shadow-inner bg-gray-100 dark:bg-slate-700 transition-transform duration-300 ease-in-out hover:scale-105 cursor-pointer"
-                  onError={imageErrorHandler}
-                  onClick={onImageClick}
-                  sizes="(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw"
-                  shouldLoad={isGalleryOpen}
-                />
-              </div>
+              {/* The main image comes first in the lightbox sequence */}
+              {currentMedia.type !== "image" ? (
+                <>
+                  <MediaViewer
+                    media={currentMedia}
+                    alt={currentAlt}
+                    className="w-full h-60 md:h-72 rounded-md shadow-inner bg-gray-100 dark:bg-slate-700"
+                    sizes="(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw"
+                    shouldLoad={isGalleryOpen}
+                  />
+                  {/* These viewers take pointer input, so opening the lightbox needs its own button */}
+                  <IconButton
+                    onClick={() => onImageClick(currentImageIndex + 1)}
+                    variant="ghost"
+                    size="sm"
+                    className="absolute right-2 bottom-2 bg-black bg-opacity-50 text-white hover:bg-opacity-70 transition-opacity"
+                    aria-label={`Open gallery image ${currentImageIndex + 1} of ${title} in viewer`}
+                    icon={Maximize2}
+                  />
+                </>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => onImageClick(currentImageIndex + 1)}
+                  className={`block w-full overflow-hidden rounded-md ${focusRing}`}
+                  aria-label={`Open gallery image ${currentImageIndex + 1} of ${title} in viewer`}
+                >
+                  <LazyImage
+                    imageName={currentMedia.imageName}
+                    alt={currentAlt}
+                    className="w-full h-60 md:h-72 object-cover shadow-inner bg-gray-100 dark:bg-slate-700 transition-transform duration-300 ease-in-out hover:scale-105 cursor-pointer"
+                    onError={imageErrorHandler}
+                    sizes="(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw"
+                    shouldLoad={isGalleryOpen}
+                  />
+                </button>
+              )}
               {galleryImages.length > 1 && (
                 <>
                   <IconButton
@@ -211,6 +277,7 @@ const ProjectCard = ({
                 Image {currentImageIndex + 1} of {galleryImages.length}
               </TextSecondary>
             )}
+            <ImageInfoPanel imageName={getPrimaryImage(currentMedia)} className="mt-3" />
           </div>
         )}
     </Article>
@@ -0,0 +1,172 @@
+// PublicationDetail.jsx
+// Import React, hooks, Helmet, UI components and Lucide icons.
+import React, { useEffect, useRef } from "react";
+import { Helmet } from "react-helmet-async";
+import { ArrowLeft, ExternalLink, Terminal, Palette } from "lucide-react";
+import AuthorList from "./AuthorList";
+import CitationMenu from "./CitationMenu";
+import LazyImage from "./LazyImage";
+import PublicationMeta from "./PublicationMeta";
+import { CodeBlock, Link, TextMuted, TextSecondary, focusRing } from "./components/UI";
+import { getAuthors } from "./utils/authors";
+import { toBibTeX } from "./utils/citations";
+import publicationDetails from "./data/publicationDetails";
+
+// Icons for related work links.
+const RELATED_ICONS = { cli: Terminal, blender: Palette };
+
+// Short page description: abstract, note or a generic summary.
+const describe = (pub) => {
+  const text = pub.abstract || pub.note || `Published in ${pub.journal} (${pub.year}). ${pub.authors}.`;
+  return text.length > 160 ? `${text.slice(0, 157).trimEnd()}…` : text;
+};
+
+/**
+ * PublicationDetail Component: Dedicated view for one publication with its
+ * abstract, key figures, BibTeX and related work.
+ * @param {object} props - Component props.
+ * @param {object} props.pub - Publication data object.
+ * @param {string} props.backHref - Hash of the list view to return to.
+ */
+const PublicationDetail = ({ pub, backHref }) => {
+  const headingRef = useRef(null);
+  const { figures = [], related = [] } = publicationDetails[pub.key] || {};
+  const pageTitle = `${pub.title} | Filipe L. Q. Junqueira`;
+  const description = describe(pub);
+
+  // Move focus to the heading so keyboard and screen reader users land on the new view.
+  useEffect(() => {
+    headingRef.current?.focus({ preventScroll: true });
+    headingRef.current?.scrollIntoView({ block: "center" });
+  }, [pub.key]);
+
+  const headingClasses = "text-base font-semibold uppercase tracking-wider text-emerald-700 dark:text-emerald-400 mb-3";
+
+  return (
+    <article aria-labelledby={`pub-detail-title-${pub.id}`} className="max-w-3xl mx-auto">
+      <Helmet>
+        <title>{pageTitle}</title>
+        <meta name="description" content={description} />
+        <meta property="og:title" content={pageTitle} />
+        <meta property="og:description" content={description} />
+        <meta property="og:type" content="article" />
+        <meta name="twitter:title" content={pageTitle} />
+        <meta name="twitter:description" content={description} />
+      </Helmet>
+      <PublicationMeta pub={pub} />
+
+      <Link href={backHref} className={`inline-flex items-center text-sm font-medium mb-6 rounded-sm ${focusRing}`}>
+        <ArrowLeft size={16} className="mr-1.5" aria-hidden="true" /> All publications
+      </Link>
+
+      <h3
+        id={`pub-detail-title-${pub.id}`}
+        ref={headingRef}
+        tabIndex={-1}
+        className="text-2xl md:text-3xl font-medium text-emerald-800 dark:text-emerald-300 mb-3 focus:outline-none"
+      >
+        {pub.title}
+      </h3>
+      <AuthorList authors={getAuthors(pub)} maxVisible={Infinity} className="mb-2" />
+      <p className="text-sm text-emerald-700 dark:text-emerald-400 mb-1">
+        {pub.journal}
+        {pub.volume && ` ${pub.volume}`}
+        {pub.pages && `, ${pub.pages}`} ({pub.year})
+      </p>
+      {pub.doi && (
+        <p className="text-sm text-gray-700 dark:text-slate-300 mb-4">
+          DOI:{" "}
+          <Link href={pub.link} external={true} className="rounded-sm">
+            {pub.doi}
+          </Link>
+        </p>
+      )}
+      {pub.note && (
+        <TextMuted as="p" className="text-sm mb-4">
+          {pub.note}
+        </TextMuted>
+      )}
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mb-8">
+        <Link href={pub.link} external={true} variant="button" className="rounded-sm">
+          View at Publisher <ExternalLink size={16} className="ml-1.5" aria-hidden="true" />
+        </Link>
+        <CitationMenu publications={[pub]} filename={pub.key} />
+      </div>
+
+      <section aria-labelledby={`pub-abstract-${pub.id}`} className="mb-8">
+        <h4 id={`pub-abstract-${pub.id}`} className={headingClasses}>
+          Abstract
+        </h4>
+        {pub.abstract ? (
+          <TextSecondary as="p" className="leading-relaxed">
+            {pub.abstract}
+          </TextSecondary>
+        ) : (
+          <TextMuted as="p" className="text-sm">
+            The abstract is available on the{" "}
+            <Link href={pub.link} external={true} className="underline rounded-sm">
+              publisher's page
+            </Link>
+            .
+          </TextMuted>
+        )}
+      </section>
+
+      {figures.length > 0 && (
+        <section aria-labelledby={`pub-figures-${pub.id}`} className="mb-8">
+          <h4 id={`pub-figures-${pub.id}`} className={headingClasses}>
+            Key Figures
+          </h4>
+          <div className="grid sm:grid-cols-2 gap-6">
+            {figures.map((figure, index) => (
+              <figure key={figure.image}>
+                <div className="overflow-hidden rounded-md shadow-sm">
+                  <LazyImage
+                    imageName={figure.image}
+                    alt={figure.alt}
+                    className="w-full h-56 object-cover"
+                    sizes="(max-width: 640px) 100vw, 384px"
+                  />
+                </div>
+                <figcaption className="text-xs text-gray-600 dark:text-slate-400 mt-2">
+                  <span className="font-semibold">Figure {index + 1}.</span> {figure.caption}
+                </figcaption>
+              </figure>
+            ))}
+          </div>
+        </section>
+      )}
+
+      <section aria-labelledby={`pub-bibtex-${pub.id}`} className="mb-8">
+        <h4 id={`pub-bibtex-${pub.id}`} className={headingClasses}>
+          BibTeX
+        </h4>
+        <CodeBlock className="text-slate-200">{toBibTeX(pub)}</CodeBlock>
+      </section>
+
+      {related.length > 0 && (
+        <section aria-labelledby={`pub-related-${pub.id}`}>
+          <h4 id={`pub-related-${pub.id}`} className={headingClasses}>
+            Related Work on This Site
+          </h4>
+          <ul className="space-y-2">
+            {related.map((item) => {
+              const RelatedIcon = RELATED_ICONS[item.type];
+              return (
+                <li key={`${item.type}-${item.title}`}>
+                  <Link href={item.href} className={`inline-flex items-center text-sm rounded-sm ${focusRing}`}>
+                    {RelatedIcon && <RelatedIcon size={16} className="mr-2" aria-hidden="true" />}
+                    {item.title}
+                  </Link>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+    </article>
+  );
+};
+
+export default PublicationDetail;
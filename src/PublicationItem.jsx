@@ -1,8 +1,13 @@
 // PublicationItem.jsx
-// Import React and ExternalLink icon.
-import React from "react";
-import { ExternalLink } from "lucide-react";
-// Removed: useState, motion, Sparkles, Loader2, AlertTriangle
+// Import React, hooks, motion and Lucide icons.
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { AlertTriangle, ExternalLink, FileText, Loader2, Quote, RotateCcw, Sparkles } from "lucide-react";
+import CitationMenu from "./CitationMenu";
+import AuthorList from "./AuthorList";
+import { getAuthors } from "./utils/authors";
+import { getCitationCount } from "./utils/metrics";
+import { usePublicationSummary } from "./hooks/usePublicationSummary";
 
 /**
  * PublicationItem Component: Displays a single publication.
@@ -10,8 +15,16 @@ import { ExternalLink } from "lucide-react";
  * @param {object} props.pub - Publication data object.
  */
 const PublicationItem = ({ pub }) => {
-  // Removed state: summary, isLoadingSummary, summaryError, showSummary
-  // Removed function: handleGenerateSummary
+  const { isAvailable, summary, status, error, generate } = usePublicationSummary(pub);
+  const [showSummary, setShowSummary] = useState(false);
+  const summaryId = `pub-summary-${pub.id}`;
+  const citations = getCitationCount(pub);
+
+  // Toggle the summary area, fetching the summary the first time it opens.
+  const handleExplain = () => {
+    if (!showSummary && status === "idle") generate();
+    setShowSummary((show) => !show);
+  };
 
   return (
     <article
@@ -22,21 +35,32 @@ const PublicationItem = ({ pub }) => {
         id={`pub-title-${pub.id}`}
         className="text-lg md:text-xl font-medium text-emerald-800 dark:text-emerald-300 mb-1.5"
       >
-        {pub.title}
+        <a
+          href={`#publications/${pub.slug}`}
+          className="hover:underline focus:outline-none focus:ring-2 focus:ring-emerald-500 dark:focus:ring-emerald-400 rounded-sm"
+        >
+          {pub.title}
+        </a>
       </h3>
-      <p className="text-sm text-gray-700 dark:text-slate-400 italic mb-1 truncate-authors">
-        {pub.authors}
-      </p>
-      <p className="text-sm text-emerald-700 dark:text-emerald-400 mb-1">
-        {pub.journal} ({pub.year})
+      <AuthorList authors={getAuthors(pub)} className="mb-1" />
+      <p className="text-sm text-emerald-700 dark:text-emerald-400 mb-1 flex flex-wrap items-center gap-x-3 gap-y-1">
+        <span>
+          {pub.journal} ({pub.year})
+        </span>
+        {citations !== undefined && (
+          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-emerald-100 text-emerald-800 dark:bg-slate-700 dark:text-emerald-300">
+            <Quote size={12} className="mr-1" aria-hidden="true" />
+            Cited by {citations}
+          </span>
+        )}
       </p>
       {pub.note && (
         <p className="text-xs text-gray-600 dark:text-slate-500 mb-3">
           {pub.note}
         </p>
       )}
-      {/* Action buttons: Only "View Publication" remains */}
-      <div className="flex flex-wrap items-center mt-3">
+      {/* Action buttons: publisher link and citation export */}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-3">
         <a
           href={pub.link}
           target="_blank"
@@ -46,10 +70,76 @@ const PublicationItem = ({ pub }) => {
           View Publication{" "}
           <ExternalLink size={16} className="ml-1.5" aria-hidden="true" />
         </a>
-        {/* Removed "Explain with AI" button */}
+        <a
+          href={`#publications/${pub.slug}`}
+          className="text-sm text-emerald-600 dark:text-emerald-400 hover:text-emerald-800 dark:hover:text-emerald-300 font-medium inline-flex items-center uppercase tracking-wider focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 dark:focus:ring-emerald-400 focus:ring-offset-emerald-50 dark:focus:ring-offset-slate-800 rounded-sm"
+          aria-label={`Details for ${pub.title}`}
+        >
+          Details <FileText size={16} className="ml-1.5" aria-hidden="true" />
+        </a>
+        <CitationMenu publications={[pub]} filename={pub.key} />
+        {isAvailable && (
+          <button
+            type="button"
+            onClick={handleExplain}
+            aria-expanded={showSummary}
+            aria-controls={summaryId}
+            className="text-sm text-emerald-600 dark:text-emerald-400 hover:text-emerald-800 dark:hover:text-emerald-300 font-medium inline-flex items-center uppercase tracking-wider focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 dark:focus:ring-emerald-400 focus:ring-offset-emerald-50 dark:focus:ring-offset-slate-800 rounded-sm"
+          >
+            {status === "loading" ? (
+              <Loader2 size={16} className="mr-1.5 animate-spin" aria-hidden="true" />
+            ) : (
+              <Sparkles size={16} className="mr-1.5" aria-hidden="true" />
+            )}
+            {showSummary ? "Hide Summary" : "Explain This Paper"}
+          </button>
+        )}
       </div>
 
-      {/* Removed AI Generated Summary Area */}
+      {/* Plain-language summary */}
+      <AnimatePresence initial={false}>
+        {showSummary && (
+          <motion.div
+            id={summaryId}
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.25 }}
+            className="overflow-hidden"
+          >
+            <div
+              className="mt-4 p-4 bg-white dark:bg-slate-900/60 rounded-md border border-emerald-100 dark:border-slate-700 text-sm"
+              aria-live="polite"
+              aria-busy={status === "loading"}
+            >
+              {status === "loading" && (
+                <p className="text-gray-600 dark:text-slate-400">Generating a plain-language summary…</p>
+              )}
+              {status === "error" && (
+                <div className="flex flex-wrap items-start gap-3 text-red-700 dark:text-red-400" role="alert">
+                  <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" aria-hidden="true" />
+                  <p className="flex-1 min-w-[12rem]">{error}</p>
+                  <button
+                    type="button"
+                    onClick={generate}
+                    className="inline-flex items-center font-medium text-emerald-700 dark:text-emerald-400 hover:underline focus:outline-none focus:ring-2 focus:ring-emerald-500 dark:focus:ring-emerald-400 rounded-sm"
+                  >
+                    <RotateCcw size={14} className="mr-1" aria-hidden="true" /> Try again
+                  </button>
+                </div>
+              )}
+              {status === "success" && (
+                <>
+                  <p className="text-gray-700 dark:text-slate-300 leading-relaxed">{summary}</p>
+                  <p className="mt-2 text-xs text-gray-500 dark:text-slate-500">
+                    Summary for a general audience. Read the paper for the full details.
+                  </p>
+                </>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
     </article>
   );
 };
@@ -0,0 +1,22 @@
+// PublicationMeta.jsx
+// Import React, Helmet and structured data builders.
+import React from "react";
+import { Helmet } from "react-helmet-async";
+import { buildHighwireMeta } from "./utils/structuredData";
+
+/**
+ * PublicationMeta Component: Adds Highwire Press `citation_*` meta tags for a
+ * single publication. Render it only on views dedicated to that publication,
+ * since indexers expect one set of tags per page.
+ * @param {object} props - Component props.
+ * @param {object} props.pub - Publication data object.
+ */
+const PublicationMeta = ({ pub }) => (
+  <Helmet>
+    {buildHighwireMeta(pub).map(({ name, content }, index) => (
+      <meta key={`${name}-${index}`} name={name} content={content} />
+    ))}
+  </Helmet>
+);
+
+export default PublicationMeta;
@@ -0,0 +1,41 @@
+// PublicationMetrics.jsx
+// Import React, UI components and the date formatter.
+import React from "react";
+import { TextMuted } from "./components/UI";
+import { formatIsoDate } from "./utils/dates";
+
+/**
+ * PublicationMetrics Component: Summary strip with total citations, h-index
+ * and i10-index computed from the metrics snapshot.
+ * @param {object} props - Component props.
+ * @param {object} props.metrics - Result of computeMetrics().
+ */
+const PublicationMetrics = ({ metrics }) => {
+  if (metrics.counted === 0) return null;
+
+  const items = [
+    { label: "Citations", value: metrics.total },
+    { label: "h-index", value: metrics.hIndex },
+    { label: "i10-index", value: metrics.i10Index },
+  ];
+
+  return (
+    <section aria-label="Citation metrics" className="mb-8 text-center">
+      <dl className="inline-grid grid-cols-3 divide-x divide-emerald-200 dark:divide-slate-700 bg-emerald-50/60 dark:bg-slate-800 rounded-lg border border-emerald-100 dark:border-slate-700">
+        {items.map(({ label, value }) => (
+          <div key={label} className="px-5 md:px-8 py-3 flex flex-col-reverse">
+            <dt className="text-xs uppercase tracking-wider text-gray-600 dark:text-slate-400">{label}</dt>
+            <dd className="text-2xl font-semibold text-emerald-800 dark:text-emerald-300">
+              {value.toLocaleString("en-GB")}
+            </dd>
+          </div>
+        ))}
+      </dl>
+      <TextMuted as="p" className="text-xs mt-2">
+        Data from {metrics.source} as of <time dateTime={metrics.asOf}>{formatIsoDate(metrics.asOf)}</time>.
+      </TextMuted>
+    </section>
+  );
+};
+
+export default PublicationMetrics;
@@ -1,75 +1,170 @@
 // PublicationsSection.jsx
-// Import React, Section, AnimatedSection, PublicationItem, and Lucide icon.
-import React from "react";
+// Import React, hooks, Section, AnimatedSection, PublicationItem, and Lucide icons.
+import React, { useState, useEffect, useMemo } from "react";
+import { Helmet } from "react-helmet-async";
 import Section from "./Section";
 import AnimatedSection from "./AnimatedSection";
 import PublicationItem from "./PublicationItem"; // Assuming PublicationItem.jsx is in the same directory
-import { BookOpen } from "lucide-react";
+import CitationMenu from "./CitationMenu";
+import PublicationsToolbar from "./PublicationsToolbar";
+import PublicationDetail from "./PublicationDetail";
+import CollaborationNetwork from "./CollaborationNetwork";
+import PublicationMetrics from "./PublicationMetrics";
+import { Button, TextMuted } from "./components/UI";
+import { BookOpen, ChevronDown, Network, SearchX } from "lucide-react";
+import { useHashRoute } from "./hooks/useHashRoute";
+import { buildHash, navigateHash, parseHash } from "./utils/hashRoute";
+import {
+  DEFAULT_FILTERS,
+  filterPublications,
+  filtersFromParams,
+  filtersToParams,
+  getFilterOptions,
+} from "./utils/publicationFilters";
+import { buildScholarlyArticle } from "./utils/structuredData";
+import { computeMetrics } from "./utils/metrics";
+// Publication data, generated at build time from src/data/publications.bib
+import publications from "virtual:publications";
+
+// Select options, structured data and metrics only depend on the (static) publication data.
+const filterOptions = getFilterOptions(publications);
+const articleStructuredData = publications.map(buildScholarlyArticle);
+const metrics = computeMetrics(publications);
+
+// Filters encoded in the current URL, e.g. #publications?coauthor=Moriarty
+const filtersFromHash = ({ section, segments, params }) =>
+  section === "publications" && segments.length === 0 ? filtersFromParams(params) : DEFAULT_FILTERS;
 
 /**
  * PublicationsSection Component: Lists selected scientific publications.
+ * Search, filter and sort state is mirrored in the URL hash so views can be shared,
+ * and #publications/<slug> opens a publication's detail view.
  */
 const PublicationsSection = () => {
-  // Publication data.
-  const publications = [
-    {
-      id: 1,
-      title:
-        "Embedding human heuristics in machine-learning-enabled probe microscopy",
-      authors: "Oliver M Gordon and Filipe LQ Junqueira and Philip J Moriarty.",
-      journal: "MACHINE LEARNING: SCIENCE AND TECHNOLOGY-IOP PUBLISHING",
-      year: "2020",
-      doi: "10.1088/2632-2153/AB42EC",
-      link: "https://doi.org/10.1088/2632-2153/AB42EC",
-    },
-    {
-      id: 2,
-      title:
-        "Scanning tunneling state recognition with multi-class neural network ensembles",
-      authors:
-        "O. Gordon and P. D'Hondt and L. Knijff and S. E. Freeney and F. Junqueira and P. Moriarty and I. Swart.",
-      journal: "REVIEW OF SCIENTIFIC INSTRUMENTS - AIP PUBLISHING",
-      year: "2019",
-      doi: "10.1063/1.5099590",
-      link: "https://doi.org/10.1063/1.5099590",
-    },
-    {
-      id: 3,
-      title: "Chemical shielding of H2O and HF encapsulated inside a C60 cage",
-      authors:
-        "Samuel P. Jarvis, Filipe Junqueira, Alex Saywell, Philipp Rahe, Salvatore Mamone, Simon Taylor, Adam Sweetman, Jeremy Leaf, Hongqian Sang, Lev Kantorovich, David Duncan, Tien-Lin Lee, Pardeep Kumar, Richard Whitby, Philip Moriarty, and Robert G Jones.",
-      journal: "NATURE COMMUNICATIONS CHEMISTRY",
-      year: "2021",
-      doi: "10.1038/s42004-021-00569-0",
-      link: "https://doi.org/10.1038/s42004-021-00569-0",
-      note: "An STM and XWS study. XWS performed at 109 hut at Diamond Light Source.",
-    },
-    {
-      id: 4,
-      title: "Atomic cranes for cyclic single vertical atom manipulations",
-      authors:
-        "David Abbasi-Pérez, Hongqian Sang, Filipe Junqueira, Adam Sweetman, J. Manuel Recio, Philip Moriarty and Lev Kantorovich.",
-      journal: "THE JOURNAL OF PHYSICAL CHEMISTRY LETTERS",
-      year: "2021",
-      doi: "10.1021/acs.jpclett.1c02271",
-      link: "https://doi.org/10.1021/acs.jpclett.1c02271",
-      note: "A DFT study. Cyclical single atom manipulations on GaAs(110). ",
-    },
-  ];
+  const route = useHashRoute();
+  const [filters, setFilters] = useState(() => filtersFromHash(parseHash()));
+  const [isNetworkOpen, setIsNetworkOpen] = useState(false);
+
+  // Follow links into the list view (shared URLs, back/forward navigation).
+  // Detail URLs leave the filters alone so "back to list" restores them.
+  useEffect(() => {
+    if (route.section === "publications" && route.segments.length === 0) {
+      setFilters(filtersFromParams(route.params));
+    }
+  }, [route]);
+
+  const detailSlug = route.section === "publications" ? route.segments[0] : undefined;
+  const detailPublication = detailSlug && publications.find((pub) => pub.slug === detailSlug);
+  const listHref = buildHash("publications", [], filtersToParams(filters));
+
+  const visiblePublications = useMemo(
+    () => filterPublications(publications, filters),
+    [filters],
+  );
+
+  // Apply a filter change and reflect it in the URL without adding history entries.
+  const updateFilters = (changes) => {
+    const nextFilters = { ...filters, ...changes };
+    setFilters(nextFilters);
+    navigateHash(buildHash("publications", [], filtersToParams(nextFilters)), { replace: true });
+  };
+
+  const resetFilters = () => updateFilters(DEFAULT_FILTERS);
+
   return (
     <Section title="Selected Publications" icon={BookOpen} id="publications">
+      {/* SEO: one ScholarlyArticle node per publication, linked to the Person node */}
+      <Helmet>
+        {articleStructuredData.map((article) => (
+          <script key={article["@id"]} type="application/ld+json">
+            {JSON.stringify(article)}
+          </script>
+        ))}
+      </Helmet>
       <p className="text-center text-base md:text-lg text-gray-700 dark:text-slate-300 mb-12 md:mb-16 max-w-2xl mx-auto leading-relaxed">
         Contributing to the body of scientific knowledge through peer-reviewed
         research. These works explore topics from machine learning in microscopy
         to fundamental studies of molecular interactions.
       </p>
-      <div className="space-y-6">
-        {publications.map((pub, index) => (
-          <AnimatedSection key={pub.id} delay={index * 0.1} threshold={0.05}>
-            <PublicationItem pub={pub} />
-          </AnimatedSection>
-        ))}
-      </div>
+      {detailPublication ? (
+        <PublicationDetail pub={detailPublication} backHref={listHref} />
+      ) : detailSlug ? (
+        <div className="text-center py-12" role="status">
+          <TextMuted as="p" className="mb-4">
+            There is no publication at this address.
+          </TextMuted>
+          <Button as="a" href={listHref} variant="outline" size="sm">
+            All publications
+          </Button>
+        </div>
+      ) : (
+        <>
+          <PublicationMetrics metrics={metrics} />
+          <div className="flex flex-wrap justify-between gap-3 mb-4">
+            <Button
+              variant="ghost"
+              size="sm"
+              aria-expanded={isNetworkOpen}
+              aria-controls="collaboration-network"
+              onClick={() => setIsNetworkOpen((open) => !open)}
+            >
+              <Network size={16} className="mr-1.5" aria-hidden="true" />
+              {isNetworkOpen ? "Hide" : "Show"} collaboration network
+              <ChevronDown
+                size={16}
+                className={`ml-1 transition-transform duration-200 ${isNetworkOpen ? "rotate-180" : ""}`}
+                aria-hidden="true"
+              />
+            </Button>
+            <CitationMenu
+              publications={publications}
+              filename="junqueira-publications"
+              label="Download all"
+              align="right"
+            />
+          </div>
+          {isNetworkOpen && (
+            <div id="collaboration-network" className="mb-6">
+              <CollaborationNetwork
+                publications={publications}
+                selected={filters.coauthor}
+                onSelect={(coauthor) => updateFilters({ coauthor })}
+              />
+            </div>
+          )}
+          <PublicationsToolbar
+            filters={filters}
+            onChange={updateFilters}
+            onReset={resetFilters}
+            options={filterOptions}
+            resultCount={visiblePublications.length}
+            totalCount={publications.length}
+          />
+          {visiblePublications.length > 0 ? (
+            <div className="space-y-6">
+              {visiblePublications.map((pub, index) => (
+                <AnimatedSection key={pub.id} delay={index * 0.1} threshold={0.05}>
+                  <PublicationItem pub={pub} />
+                </AnimatedSection>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-12" role="status">
+              <SearchX
+                className="w-12 h-12 mx-auto mb-4 text-emerald-400 dark:text-emerald-500"
+                strokeWidth={1.5}
+                aria-hidden="true"
+              />
+              <TextMuted as="p" className="mb-4">
+                No publications match the current search and filters.
+              </TextMuted>
+              <Button variant="outline" size="sm" onClick={resetFilters}>
+                Clear filters
+              </Button>
+            </div>
+          )}
+        </>
+      )}
     </Section>
   );
 };
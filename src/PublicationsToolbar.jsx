@@ -0,0 +1,153 @@
+// PublicationsToolbar.jsx
+// Import React, Lucide icons and UI components.
+import React from "react";
+import { Search, X } from "lucide-react";
+import { Button, Input, Select, TextMuted } from "./components/UI";
+import { SORT_OPTIONS, hasActiveFilters } from "./utils/publicationFilters";
+
+/**
+ * PublicationsToolbar Component: Search, filter and sort controls for the publication list.
+ * @param {object} props - Component props.
+ * @param {object} props.filters - Current filter state (see DEFAULT_FILTERS).
+ * @param {function} props.onChange - Called with a partial filter update.
+ * @param {function} props.onReset - Clears all filters.
+ * @param {object} props.options - Select options from getFilterOptions().
+ * @param {number} props.resultCount - Number of publications shown.
+ * @param {number} props.totalCount - Number of publications in total.
+ */
+const PublicationsToolbar = ({ filters, onChange, onReset, options, resultCount, totalCount }) => {
+  const labelClasses = "block text-xs font-medium uppercase tracking-wider text-gray-600 dark:text-slate-400 mb-1";
+
+  return (
+    <form
+      role="search"
+      aria-label="Filter publications"
+      onSubmit={(e) => e.preventDefault()}
+      className="mb-8 p-4 md:p-5 bg-emerald-50/60 dark:bg-slate-800 rounded-lg border border-emerald-100 dark:border-slate-700"
+    >
+      <div className="relative mb-4">
+        <label htmlFor="publication-search" className="sr-only">
+          Search publications
+        </label>
+        <Search
+          size={18}
+          className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 dark:text-slate-500 pointer-events-none"
+          aria-hidden="true"
+        />
+        <Input
+          id="publication-search"
+          type="search"
+          value={filters.query}
+          onChange={(e) => onChange({ query: e.target.value })}
+          placeholder="Search titles, authors, journals and notes"
+          className="pl-10 py-2"
+        />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <div>
+          <label htmlFor="publication-year-from" className={labelClasses}>
+            From
+          </label>
+          <Select
+            id="publication-year-from"
+            value={filters.yearFrom}
+            onChange={(e) => onChange({ yearFrom: e.target.value })}
+          >
+            <option value="">Any year</option>
+            {options.years.map((year) => (
+              <option key={year} value={year}>
+                {year}
+              </option>
+            ))}
+          </Select>
+        </div>
+        <div>
+          <label htmlFor="publication-year-to" className={labelClasses}>
+            To
+          </label>
+          <Select
+            id="publication-year-to"
+            value={filters.yearTo}
+            onChange={(e) => onChange({ yearTo: e.target.value })}
+          >
+            <option value="">Any year</option>
+            {options.years.map((year) => (
+              <option key={year} value={year}>
+                {year}
+              </option>
+            ))}
+          </Select>
+        </div>
+        <div className="col-span-2 md:col-span-1">
+          <label htmlFor="publication-journal" className={labelClasses}>
+            Journal
+          </label>
+          <Select
+            id="publication-journal"
+            value={filters.journal}
+            onChange={(e) => onChange({ journal: e.target.value })}
+          >
+            <option value="">All journals</option>
+            {options.journals.map((journal) => (
+              <option key={journal} value={journal}>
+                {journal}
+              </option>
+            ))}
+          </Select>
+        </div>
+        <div>
+          <label htmlFor="publication-coauthor" className={labelClasses}>
+            Co-author
+          </label>
+          <Select
+            id="publication-coauthor"
+            value={filters.coauthor}
+            onChange={(e) => onChange({ coauthor: e.target.value })}
+          >
+            <option value="">Anyone</option>
+            {/* Keep a value from a shared link selectable even if it is only a partial name. */}
+            {filters.coauthor &&
+              !options.coauthors.some((coauthor) => coauthor.value === filters.coauthor) && (
+                <option value={filters.coauthor}>{filters.coauthor}</option>
+              )}
+            {options.coauthors.map((coauthor) => (
+              <option key={coauthor.value} value={coauthor.value}>
+                {coauthor.label} ({coauthor.count})
+              </option>
+            ))}
+          </Select>
+        </div>
+        <div>
+          <label htmlFor="publication-sort" className={labelClasses}>
+            Sort by
+          </label>
+          <Select
+            id="publication-sort"
+            value={filters.sort}
+            onChange={(e) => onChange({ sort: e.target.value })}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </Select>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between mt-4">
+        <TextMuted as="p" className="text-sm" aria-live="polite">
+          Showing {resultCount} of {totalCount} publications
+        </TextMuted>
+        {hasActiveFilters(filters) && (
+          <Button type="button" variant="ghost" size="sm" onClick={onReset} className="gap-1">
+            <X size={16} aria-hidden="true" /> Clear filters
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default PublicationsToolbar;
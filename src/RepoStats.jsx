@@ -0,0 +1,119 @@
+// RepoStats.jsx
+// Import React, UI components, the repository snapshot helpers and Lucide icons.
+import React from "react";
+import { TextMuted } from "./components/UI";
+import { getRepoStats, getLanguageShares } from "./utils/repos";
+import { formatIsoDate } from "./utils/dates";
+import { Star, GitFork, Scale, Tag as TagIcon, GitCommitHorizontal } from "lucide-react";
+
+// Bar colours of common languages; others take the fallback colours in order.
+const LANGUAGE_COLORS = {
+  Python: "bg-sky-600 dark:bg-sky-400",
+  "Jupyter Notebook": "bg-orange-500 dark:bg-orange-400",
+  Shell: "bg-lime-600 dark:bg-lime-400",
+  Cython: "bg-amber-600 dark:bg-amber-400",
+  JavaScript: "bg-yellow-400 dark:bg-yellow-300",
+  C: "bg-gray-600 dark:bg-gray-400",
+  "C++": "bg-pink-600 dark:bg-pink-400",
+  Fortran: "bg-violet-600 dark:bg-violet-400",
+};
+const FALLBACK_COLORS = ["bg-emerald-600 dark:bg-emerald-400", "bg-teal-600 dark:bg-teal-400", "bg-indigo-500 dark:bg-indigo-400"];
+const OTHER_COLOR = "bg-gray-300 dark:bg-slate-600";
+
+const formatPercent = (share) => (share < 0.01 ? "<1%" : `${Math.round(share * 100)}%`);
+
+/**
+ * RepoStats Component: Stars, forks, licence, language breakdown, latest
+ * release and last commit of a tool's repository, from the snapshot in
+ * src/data/repos.json.
+ * @param {object} props - Component props.
+ * @param {string} props.githubLink - Repository URL.
+ * @param {string} [props.className] - CSS classes for the container.
+ */
+const RepoStats = ({ githubLink, className = "" }) => {
+  const stats = getRepoStats(githubLink);
+  if (!stats) {
+    return (
+      <TextMuted as="p" className={`text-xs ${className}`}>
+        Repository statistics unavailable.
+      </TextMuted>
+    );
+  }
+
+  let fallbackIndex = 0;
+  const languages = getLanguageShares(stats.languages).map((language) => ({
+    ...language,
+    color:
+      language.name === "Other"
+        ? OTHER_COLOR
+        : LANGUAGE_COLORS[language.name] ?? FALLBACK_COLORS[fallbackIndex++ % FALLBACK_COLORS.length],
+  }));
+
+  const counts = [
+    { label: "Stars", value: stats.stars?.toLocaleString("en-GB"), Icon: Star },
+    { label: "Forks", value: stats.forks?.toLocaleString("en-GB"), Icon: GitFork },
+    { label: "Licence", value: stats.license ?? "None", Icon: Scale },
+  ];
+
+  return (
+    <div className={`text-xs text-gray-600 dark:text-slate-400 ${className}`}>
+      <dl className="flex flex-wrap gap-x-4 gap-y-1 mb-3">
+        {counts.map(({ label, value, Icon }) => (
+          <div key={label} className="flex items-center gap-1" title={label}>
+            <dt>
+              <Icon size={14} aria-hidden="true" />
+              <span className="sr-only">{label}</span>
+            </dt>
+            <dd className="font-medium text-gray-800 dark:text-slate-200">{value ?? "–"}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {languages.length > 0 && (
+        <div className="mb-3">
+          <div
+            className="flex h-1.5 rounded-full overflow-hidden bg-gray-200 dark:bg-slate-700"
+            role="img"
+            aria-label={`Languages: ${languages.map(({ name, share }) => `${name} ${formatPercent(share)}`).join(", ")}`}
+          >
+            {languages.map(({ name, share, color }) => (
+              <span key={name} className={color} style={{ width: `${share * 100}%` }} />
+            ))}
+          </div>
+          <ul className="flex flex-wrap gap-x-3 gap-y-1 mt-1.5" aria-hidden="true">
+            {languages.map(({ name, share, color }) => (
+              <li key={name} className="flex items-center gap-1">
+                <span className={`h-2 w-2 rounded-full ${color}`} />
+                {name} <span className="text-gray-500 dark:text-slate-500">{formatPercent(share)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <ul className="flex flex-wrap gap-x-4 gap-y-1">
+        <li className="flex items-center gap-1">
+          <TagIcon size={14} aria-hidden="true" />
+          {stats.latestRelease ? (
+            <span>
+              <span className="sr-only">Latest release </span>
+              <span className="font-mono text-gray-800 dark:text-slate-200">{stats.latestRelease.tag}</span>
+            </span>
+          ) : (
+            "No releases yet"
+          )}
+        </li>
+        {stats.lastCommit && (
+          <li className="flex items-center gap-1">
+            <GitCommitHorizontal size={14} aria-hidden="true" />
+            <span>
+              Last commit <time dateTime={stats.lastCommit}>{formatIsoDate(stats.lastCommit, "short")}</time>
+            </span>
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default RepoStats;
@@ -0,0 +1,250 @@
+// TerminalEmulator.jsx
+// Import React, hooks, motion preferences, the command interpreter and Lucide icons.
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { useReducedMotion } from "framer-motion";
+import { useInView } from "react-intersection-observer";
+import { RotateCcw } from "lucide-react";
+import { complete, runCommand } from "./utils/terminal";
+import { focusRing } from "./components/UI";
+import TerminalText from "./TerminalText";
+
+// Delay between typed characters during playback, in milliseconds.
+const TYPING_DELAY = 35;
+
+// Resolves after `ms`, or rejects as soon as the signal aborts.
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true },
+    );
+  });
+
+/**
+ * Prompt Component: The `>` in front of commands.
+ */
+const Prompt = () => (
+  <span className="text-slate-500 dark:text-slate-400" aria-hidden="true">
+    &gt;{" "}
+  </span>
+);
+
+/**
+ * TerminalEmulator Component: Small in-page terminal for a CLI tool's demo.
+ * Visitors can type the tool's commands (with tab completion and history);
+ * output is scripted in the tool's data and printed with realistic delays.
+ * The canonical demo plays once the terminal scrolls into view.
+ * @param {object} props - Component props.
+ * @param {import("./utils/terminal").TerminalSpec} props.spec - Tool definition.
+ * @param {string} props.title - Tool name, for accessible labels.
+ * @param {string} [props.className] - CSS classes for the container.
+ */
+const TerminalEmulator = ({ spec, title, className = "" }) => {
+  // Printed commands and output lines.
+  const [entries, setEntries] = useState([]);
+  const [input, setInput] = useState("");
+  // Command being typed out by the demo playback.
+  const [typing, setTyping] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  // Position while browsing history with the arrow keys; null for a new command.
+  const [historyIndex, setHistoryIndex] = useState(null);
+  const shouldReduceMotion = useReducedMotion();
+  const { ref: inViewRef, inView } = useInView({ triggerOnce: true, threshold: 0.3 });
+  const controllerRef = useRef(null);
+  const outputRef = useRef(null);
+  const inputRef = useRef(null);
+  const nextIdRef = useRef(0);
+  // Entered commands, oldest first.
+  const historyRef = useRef([]);
+  const hasPlayedRef = useRef(false);
+
+  const print = useCallback((newEntries) => {
+    setEntries((current) => [...current, ...newEntries.map((entry) => ({ ...entry, id: nextIdRef.current++ }))]);
+  }, []);
+
+  // Runs commands one after another; typing them out first during playback.
+  const run = useCallback(
+    async (commands, { typeOut = false } = {}) => {
+      controllerRef.current?.abort();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      const { signal } = controller;
+      const pause = (ms) => wait(shouldReduceMotion ? 0 : ms, signal);
+
+      setIsBusy(true);
+      try {
+        for (const command of commands) {
+          if (typeOut) {
+            for (let length = 1; length <= command.length; length++) {
+              setTyping(command.slice(0, length));
+              await pause(TYPING_DELAY);
+            }
+            setTyping(null);
+          }
+          print([{ kind: "command", text: command }]);
+
+          if (command.trim()) historyRef.current = [...historyRef.current, command];
+          const { lines, clear } = runCommand(spec, command, historyRef.current);
+          if (clear) setEntries([]);
+          for (const line of lines) {
+            await pause(line.delay ?? 0);
+            print([{ kind: "line", ...line }]);
+          }
+        }
+      } catch (error) {
+        if (error.name !== "AbortError") throw error;
+      } finally {
+        if (controllerRef.current === controller) {
+          setTyping(null);
+          setIsBusy(false);
+        }
+      }
+    },
+    [spec, print, shouldReduceMotion],
+  );
+
+  const replay = useCallback(() => {
+    setEntries([]);
+    run(spec.demo, { typeOut: true });
+  }, [run, spec.demo]);
+
+  // Play the canonical demo the first time the terminal is seen.
+  useEffect(() => {
+    if (!inView || hasPlayedRef.current) return;
+    hasPlayedRef.current = true;
+    replay();
+  }, [inView, replay]);
+
+  // Stop playback when the component unmounts.
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Keep the latest output in view.
+  useEffect(() => {
+    const output = outputRef.current;
+    if (output) output.scrollTop = output.scrollHeight;
+  }, [entries, typing]);
+
+  const handleKeyDown = (e) => {
+    // Ctrl+C interrupts playback, like a running command.
+    if (e.key === "c" && e.ctrlKey && isBusy) {
+      e.preventDefault();
+      controllerRef.current?.abort();
+      setTyping(null);
+      setIsBusy(false);
+      print([{ kind: "line", text: "{dim}^C{/}" }]);
+      return;
+    }
+    if (isBusy) return;
+
+    switch (e.key) {
+      case "Enter": {
+        e.preventDefault();
+        setInput("");
+        setHistoryIndex(null);
+        run([input]);
+        break;
+      }
+      case "Tab": {
+        // With nothing typed, Tab moves focus as usual.
+        if (!input.trim()) return;
+        e.preventDefault();
+        const completion = complete(spec, input);
+        if (completion.candidates.length > 0) {
+          print([
+            { kind: "command", text: input },
+            { kind: "line", text: `{dim}${completion.candidates.join("  ")}{/}` },
+          ]);
+        }
+        setInput(completion.input);
+        break;
+      }
+      case "ArrowUp": {
+        const history = historyRef.current;
+        if (history.length === 0) return;
+        e.preventDefault();
+        const index = historyIndex === null ? history.length - 1 : Math.max(0, historyIndex - 1);
+        setHistoryIndex(index);
+        setInput(history[index]);
+        break;
+      }
+      case "ArrowDown": {
+        const history = historyRef.current;
+        if (historyIndex === null) return;
+        e.preventDefault();
+        const index = historyIndex + 1;
+        setHistoryIndex(index < history.length ? index : null);
+        setInput(index < history.length ? history[index] : "");
+        break;
+      }
+      default:
+    }
+  };
+
+  return (
+    <div
+      ref={inViewRef}
+      className={`bg-gray-800 dark:bg-slate-900/80 rounded-lg font-mono text-sm shadow-inner overflow-hidden ${className}`}
+    >
+      <div className="flex items-center justify-between px-3 py-1.5 border-b border-gray-700 dark:border-slate-700">
+        <span className="text-xs text-gray-400 dark:text-slate-500">{spec.program} — type "help"</span>
+        <button
+          type="button"
+          onClick={replay}
+          className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs text-gray-300 hover:text-white hover:bg-gray-700 dark:hover:bg-slate-700 transition-colors duration-300 ${focusRing}`}
+          aria-label={`Replay the ${title} demo`}
+        >
+          <RotateCcw size={12} aria-hidden="true" /> Replay
+        </button>
+      </div>
+      {/* Clicking anywhere in the output focuses the prompt, as in a real terminal */}
+      <div
+        ref={outputRef}
+        className="h-52 overflow-y-auto p-4 leading-relaxed cursor-text"
+        onClick={() => inputRef.current?.focus()}
+      >
+        <div role="log" aria-live="polite" aria-label={`${title} terminal output`}>
+          {entries.map((entry) =>
+            entry.kind === "command" ? (
+              <div key={entry.id} className="whitespace-pre-wrap break-all text-emerald-400 dark:text-sky-400">
+                <Prompt />
+                {entry.text}
+              </div>
+            ) : (
+              <div key={entry.id} className="whitespace-pre-wrap text-gray-200 dark:text-slate-300">
+                <TerminalText text={entry.text} />
+              </div>
+            ),
+          )}
+        </div>
+        <div className="flex text-emerald-400 dark:text-sky-400">
+          <Prompt />
+          {/* The demo types into the prompt too; it stays focusable so Ctrl+C can interrupt */}
+          <input
+            ref={inputRef}
+            type="text"
+            value={typing ?? input}
+            onChange={(e) => {
+              setInput(e.target.value);
+              setHistoryIndex(null);
+            }}
+            onKeyDown={handleKeyDown}
+            readOnly={isBusy}
+            className="flex-1 min-w-0 bg-transparent outline-none caret-emerald-400 focus-visible:ring-1 focus-visible:ring-emerald-500/60 rounded-sm"
+            aria-label={`Command for the ${title} terminal`}
+            autoComplete="off"
+            autoCapitalize="off"
+            autoCorrect="off"
+            spellCheck={false}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TerminalEmulator;
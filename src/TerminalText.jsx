@@ -0,0 +1,80 @@
+// TerminalText.jsx
+// Import React, the terminal text parser and ANSI colour helpers.
+import React, { useMemo } from "react";
+import { parseTerminalText } from "./utils/terminalText";
+import { ansiColor } from "./utils/ansi";
+
+// Theme colours of the markup tones (see utils/terminalText.js).
+const TONE_CLASSES = {
+  prompt: "text-slate-500 dark:text-slate-400",
+  cmd: "text-emerald-500 dark:text-sky-400",
+  flag: "text-yellow-500 dark:text-yellow-400",
+  dim: "text-gray-500 dark:text-slate-500",
+  ok: "text-green-500 dark:text-green-400",
+  warn: "text-amber-500 dark:text-amber-400",
+  err: "text-red-500 dark:text-red-400",
+};
+
+// Theme colours of the 16 basic ANSI colours (normal, then bright).
+const ANSI_CLASSES = [
+  "text-gray-600 dark:text-slate-600",
+  "text-red-500 dark:text-red-400",
+  "text-green-500 dark:text-green-400",
+  "text-yellow-500 dark:text-yellow-400",
+  "text-blue-500 dark:text-blue-400",
+  "text-purple-500 dark:text-purple-400",
+  "text-cyan-500 dark:text-cyan-400",
+  "text-gray-300 dark:text-slate-300",
+  "text-gray-500 dark:text-slate-500",
+  "text-red-400 dark:text-red-300",
+  "text-green-400 dark:text-green-300",
+  "text-yellow-400 dark:text-yellow-300",
+  "text-blue-400 dark:text-blue-300",
+  "text-purple-400 dark:text-purple-300",
+  "text-cyan-400 dark:text-cyan-300",
+  "text-white",
+];
+
+const spanClasses = (style) =>
+  [
+    typeof style.fg === "number" && style.fg < 16 ? ANSI_CLASSES[style.fg] : TONE_CLASSES[style.tone],
+    style.bold && "font-bold",
+    style.dim && "opacity-70",
+    style.italic && "italic",
+    style.underline && "underline",
+  ]
+    .filter(Boolean)
+    .join(" ") || undefined;
+
+// 256-colour, true-colour and background colours have no theme equivalent.
+const spanStyle = (style) => {
+  const css = {};
+  if (style.fg !== undefined && !(typeof style.fg === "number" && style.fg < 16)) css.color = ansiColor(style.fg);
+  if (style.bg !== undefined) css.backgroundColor = ansiColor(style.bg);
+  return Object.keys(css).length > 0 ? css : undefined;
+};
+
+/**
+ * TerminalText Component: Terminal output stored as plain text, with ANSI
+ * colour codes or `{cmd}`/`{ok}`/`{dim}` markup, in the site's theme colours.
+ * Lines are separated by newlines, so place it in a whitespace-preserving
+ * element.
+ * @param {object} props - Component props.
+ * @param {string} props.text - Text with escape codes and/or markup.
+ */
+const TerminalText = ({ text }) => {
+  const lines = useMemo(() => parseTerminalText(text), [text]);
+
+  return lines.map((spans, lineIndex) => (
+    <React.Fragment key={lineIndex}>
+      {lineIndex > 0 && "\n"}
+      {spans.map((span, spanIndex) => (
+        <span key={spanIndex} className={spanClasses(span.style)} style={spanStyle(span.style)}>
+          {span.text}
+        </span>
+      ))}
+    </React.Fragment>
+  ));
+};
+
+export default TerminalText;
@@ -0,0 +1,107 @@
+// TurntableViewer.jsx
+// Import React, hooks, intersection observer, LazyImage and Lucide icons.
+import React, { useState, useRef } from "react";
+import { useInView } from "react-intersection-observer";
+import { Rotate3d } from "lucide-react";
+import LazyImage from "./LazyImage";
+
+/**
+ * TurntableViewer Component: Rotates an object by scrubbing through the
+ * frames of a turntable render. Dragging across the full width turns it once;
+ * arrow keys step one frame. Frames load through LazyImage once in view.
+ * @param {object} props - Component props.
+ * @param {string[]} props.frames - Image names in src/assets, in rotation order.
+ * @param {string} props.alt - Description of the object.
+ * @param {string} [props.className] - CSS classes for the container; it needs a height.
+ * @param {string} [props.imageClassName="object-cover"] - CSS classes for the frames.
+ * @param {string} [props.sizes] - Responsive sizes attribute.
+ */
+const TurntableViewer = ({ frames, alt, className = "", imageClassName = "object-cover", sizes }) => {
+  const [frame, setFrame] = useState(0);
+  const [hasInteracted, setHasInteracted] = useState(false);
+  const { ref: inViewRef, inView } = useInView({ triggerOnce: true, rootMargin: "200px 0px" });
+  const containerRef = useRef(null);
+  // Pointer position and frame when the drag started.
+  const dragRef = useRef(null);
+
+  // Wraps around in both directions, like a real turntable.
+  const showFrame = (index) => setFrame(((index % frames.length) + frames.length) % frames.length);
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, frame };
+    setHasInteracted(true);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    const pixelsPerFrame = containerRef.current.clientWidth / frames.length;
+    showFrame(dragRef.current.frame + Math.round((e.clientX - dragRef.current.x) / pixelsPerFrame));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // Handled keys don't reach outer listeners such as the lightbox's.
+  const handleKeyDown = (e) => {
+    const keyFrames = { ArrowLeft: frame - 1, ArrowRight: frame + 1, Home: 0, End: frames.length - 1 };
+    if (!(e.key in keyFrames)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setHasInteracted(true);
+    showFrame(keyFrames[e.key]);
+  };
+
+  const setRefs = (element) => {
+    containerRef.current = element;
+    inViewRef(element);
+  };
+
+  return (
+    <div
+      ref={setRefs}
+      role="slider"
+      tabIndex={0}
+      aria-label={`${alt} (turntable, drag or use arrow keys to rotate)`}
+      aria-valuemin={1}
+      aria-valuemax={frames.length}
+      aria-valuenow={frame + 1}
+      aria-valuetext={`Frame ${frame + 1} of ${frames.length}`}
+      onKeyDown={handleKeyDown}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      className={`relative overflow-hidden select-none touch-pan-y cursor-grab active:cursor-grabbing focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 ${className}`}
+    >
+      {/* All frames are stacked and loaded up front so scrubbing never waits on the network */}
+      {frames.map((imageName, index) => (
+        <div
+          key={`${index}-${imageName}`}
+          className={`absolute inset-0 ${index === frame ? "opacity-100" : "opacity-0"}`}
+          aria-hidden={index !== frame}
+        >
+          <LazyImage
+            imageName={imageName}
+            alt={index === frame ? alt : ""}
+            className={`w-full h-full ${imageClassName}`}
+            wrapperClassName="h-full"
+            sizes={sizes}
+            shouldLoad={inView}
+            loading="eager"
+            draggable={false}
+          />
+        </div>
+      ))}
+
+      {!hasInteracted && (
+        <span className="absolute bottom-2 left-1/2 -translate-x-1/2 inline-flex items-center gap-1 px-2 py-0.5 rounded bg-black/60 text-white text-xs font-medium pointer-events-none">
+          <Rotate3d size={14} aria-hidden="true" /> Drag to rotate
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default TurntableViewer;
@@ -0,0 +1,75 @@
+// VideoPlayer.jsx
+// Import React, hooks, motion preferences and image/video helpers.
+import React, { useEffect, useRef } from "react";
+import { useReducedMotion } from "framer-motion";
+import { useInView } from "react-intersection-observer";
+import { getImage, getVideoSources } from "./utils/imageAssets";
+
+/**
+ * VideoPlayer Component: Looping, muted animation such as a turntable render.
+ * It only plays while on screen and when the visitor allows motion; otherwise
+ * the poster (or the paused frame) is shown.
+ * @param {object} props - Component props.
+ * @param {string} props.video - Video name in src/assets (without extension).
+ * @param {string} props.poster - Image name in src/assets shown before playback.
+ * @param {string} props.alt - Description of the animation.
+ * @param {boolean} [props.controls=false] - Show the browser's playback controls.
+ * @param {string} [props.className] - CSS classes for the video element.
+ */
+const VideoPlayer = ({ video, poster, alt, controls = false, className = "" }) => {
+  const videoRef = useRef(null);
+  const shouldReduceMotion = useReducedMotion();
+  const { ref: inViewRef, inView } = useInView({ threshold: 0.25 });
+  const sources = getVideoSources(video);
+  // The poster comes from the responsive variants of its image.
+  const posterSrc = getImage(poster)?.src;
+
+  // Autoplay only while visible and when motion is allowed.
+  useEffect(() => {
+    const element = videoRef.current;
+    if (!element) return;
+    if (inView && !shouldReduceMotion) {
+      // Browsers may still refuse; the poster stays up in that case.
+      element.play().catch(() => {});
+    } else {
+      element.pause();
+    }
+  }, [inView, shouldReduceMotion]);
+
+  const setRefs = (element) => {
+    videoRef.current = element;
+    inViewRef(element);
+  };
+
+  if (sources.length === 0) {
+    return (
+      <div
+        className={`bg-gray-100 dark:bg-slate-800 flex items-center justify-center ${className}`}
+        role="img"
+        aria-label={`Failed to load video: ${alt}`}
+      >
+        <span className="text-gray-400 dark:text-slate-500 text-sm text-center px-2">Video unavailable</span>
+      </div>
+    );
+  }
+
+  return (
+    <video
+      ref={setRefs}
+      poster={posterSrc}
+      aria-label={alt}
+      className={className}
+      controls={controls}
+      muted
+      loop
+      playsInline
+      preload="none"
+    >
+      {sources.map(({ src, type }) => (
+        <source key={type} src={src} type={type} />
+      ))}
+    </video>
+  );
+};
+
+export default VideoPlayer;
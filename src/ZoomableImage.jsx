@@ -0,0 +1,326 @@
+// ZoomableImage.jsx
+// Import React, hooks, the image manifest and Lucide icons.
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Loader2, ZoomIn, ZoomOut } from "lucide-react";
+import { getImage } from "./utils/imageAssets";
+
+const MIN_SCALE = 1;
+const BUTTON_ZOOM_STEP = 1.5;
+// Horizontal drag (px) that counts as a swipe while the image is not zoomed.
+const SWIPE_THRESHOLD = 60;
+// Two taps within this many ms count as a double tap.
+const DOUBLE_TAP_MS = 300;
+
+const FIT = { scale: 1, x: 0, y: 0 };
+
+// Pixel width of the srcset candidate the browser picked for `img`.
+const currentCandidateWidth = (img, srcset) => {
+  const candidate = srcset
+    .split(/,\s+/)
+    .map((entry) => entry.trim().split(/\s+/))
+    .find(([url]) => new URL(url, document.baseURI).href === img.currentSrc);
+  return candidate ? Number.parseInt(candidate[1], 10) : img.naturalWidth;
+};
+
+// Keeps the zoomed image covering the viewport, so it cannot be panned out of view.
+const clampTransform = ({ scale, x, y }, width, height) => ({
+  scale,
+  x: Math.min(0, Math.max(width * (1 - scale), x)),
+  y: Math.min(0, Math.max(height * (1 - scale), y)),
+});
+
+/**
+ * ZoomableImage Component: Image with wheel/pinch zoom, drag-to-pan,
+ * double-click (or double-tap) to toggle 1:1 and zoom buttons.
+ * Shows a WebP preview sized for the screen first and swaps in the
+ * full-resolution PNG once the image is zoomed beyond the preview's resolution.
+ * @param {object} props - Component props.
+ * @param {string} props.imageName - Image name in src/assets (without extension).
+ * @param {string} props.alt - Alt text for accessibility.
+ * @param {string} [props.className] - Size classes for the unzoomed image.
+ * @param {number} [props.maxScale=8] - Maximum zoom relative to the fitted size.
+ * @param {function} [props.onSwipe] - Called with "previous" or "next" on a horizontal swipe at fit size.
+ */
+const ZoomableImage = ({ imageName, alt, className = "", maxScale = 8, onSwipe }) => {
+  const containerRef = useRef(null);
+  const imageRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const lastTapRef = useRef(0);
+  const transformRef = useRef(FIT);
+  // Name of the image whose full-resolution version was requested.
+  const fullRequestedRef = useRef(null);
+
+  const [transform, setTransform] = useState(FIT);
+  const [fullUrl, setFullUrl] = useState(null);
+  const [isLoadingFull, setIsLoadingFull] = useState(false);
+  const preview = getImage(imageName);
+  // The zoom viewer shows WebP candidates; every current browser supports them.
+  const previewSrcset = preview && (preview.sources.find(({ type }) => type === "image/webp")?.srcset ?? preview.srcset);
+
+  // Gesture handlers read the latest transform without re-binding listeners.
+  useEffect(() => {
+    transformRef.current = transform;
+  }, [transform]);
+
+  // Reset the view when the image changes.
+  useEffect(() => {
+    setTransform(FIT);
+    setFullUrl(null);
+    setIsLoadingFull(false);
+    fullRequestedRef.current = null;
+  }, [imageName]);
+
+  const applyTransform = useCallback((update) => {
+    const container = containerRef.current;
+    if (!container) return;
+    setTransform((current) => {
+      const next = typeof update === "function" ? update(current) : update;
+      const scale = Math.min(maxScale, Math.max(MIN_SCALE, next.scale));
+      return clampTransform({ ...next, scale }, container.clientWidth, container.clientHeight);
+    });
+  }, [maxScale]);
+
+  // Zooms by `factor`, keeping the point (px, py) of the viewport fixed.
+  const zoomAt = useCallback((factor, px, py) => {
+    applyTransform((current) => {
+      const scale = Math.min(maxScale, Math.max(MIN_SCALE, current.scale * factor));
+      const ratio = scale / current.scale;
+      return { scale, x: px - (px - current.x) * ratio, y: py - (py - current.y) * ratio };
+    });
+  }, [applyTransform, maxScale]);
+
+  const zoomAtCenter = (factor) => {
+    const container = containerRef.current;
+    if (container) zoomAt(factor, container.clientWidth / 2, container.clientHeight / 2);
+  };
+
+  // Toggles between the fitted view and one image pixel per CSS pixel.
+  const toggleActualSize = useCallback((px, py) => {
+    const container = containerRef.current;
+    const image = imageRef.current;
+    if (!container || !image) return;
+    if (transformRef.current.scale > MIN_SCALE) {
+      applyTransform(FIT);
+      return;
+    }
+    const actualSize = (preview?.width ?? image.naturalWidth) / container.clientWidth;
+    // Images already shown at (or above) native size still get a useful zoom.
+    zoomAt(actualSize > 1.05 ? actualSize : 2, px, py);
+  }, [applyTransform, zoomAt, preview]);
+
+  // The wheel listener must be non-passive to stop the page from scrolling.
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = container.getBoundingClientRect();
+      zoomAt(Math.exp(-e.deltaY * 0.002), e.clientX - rect.left, e.clientY - rect.top);
+    };
+    container.addEventListener("wheel", handleWheel, { passive: false });
+    return () => container.removeEventListener("wheel", handleWheel);
+  }, [zoomAt, preview]);
+
+  // Progressive loading: fetch the PNG once the preview no longer has enough pixels.
+  useEffect(() => {
+    const container = containerRef.current;
+    const image = imageRef.current;
+    if (fullRequestedRef.current === imageName || transform.scale <= MIN_SCALE || !container || !image || !previewSrcset) {
+      return;
+    }
+    const renderedWidth = container.clientWidth * transform.scale * (window.devicePixelRatio || 1);
+    if (renderedWidth <= currentCandidateWidth(image, previewSrcset)) return;
+
+    fullRequestedRef.current = imageName;
+    setIsLoadingFull(true);
+    // Decode before swapping so the preview never flashes blank.
+    const fullImage = new Image();
+    fullImage.src = preview.original;
+    fullImage
+      .decode()
+      .then(() => {
+        if (fullRequestedRef.current === imageName) setFullUrl(preview.original);
+      })
+      .catch(() => {
+        // Keep showing the preview if the full image is unavailable.
+      })
+      .finally(() => {
+        if (fullRequestedRef.current === imageName) setIsLoadingFull(false);
+      });
+  }, [transform.scale, imageName, preview, previewSrcset]);
+
+  const relativePoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = relativePoint(e);
+    pointersRef.current.set(e.pointerId, point);
+    const points = [...pointersRef.current.values()];
+    gestureRef.current =
+      points.length === 2
+        ? {
+            type: "pinch",
+            distance: Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y),
+            mid: { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 },
+          }
+        : { type: "pan", start: point, last: point, pointerType: e.pointerType };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointersRef.current.has(e.pointerId)) return;
+    const point = relativePoint(e);
+    pointersRef.current.set(e.pointerId, point);
+    const gesture = gestureRef.current;
+
+    if (gesture?.type === "pinch" && pointersRef.current.size === 2) {
+      const [a, b] = [...pointersRef.current.values()];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      zoomAt(distance / gesture.distance, mid.x, mid.y);
+      // Moving both fingers together pans as well.
+      applyTransform((current) => ({ ...current, x: current.x + mid.x - gesture.mid.x, y: current.y + mid.y - gesture.mid.y }));
+      gestureRef.current = { ...gesture, distance, mid };
+    } else if (gesture?.type === "pan") {
+      if (transformRef.current.scale > MIN_SCALE) {
+        applyTransform((current) => ({
+          ...current,
+          x: current.x + point.x - gesture.last.x,
+          y: current.y + point.y - gesture.last.y,
+        }));
+      }
+      gestureRef.current = { ...gesture, last: point };
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (!pointersRef.current.has(e.pointerId)) return;
+    const point = relativePoint(e);
+    pointersRef.current.delete(e.pointerId);
+    const gesture = gestureRef.current;
+
+    if (gesture?.type === "pan" && pointersRef.current.size === 0) {
+      const dx = point.x - gesture.start.x;
+      const dy = point.y - gesture.start.y;
+      const isTap = Math.hypot(dx, dy) < 10;
+
+      if (isTap && gesture.pointerType !== "mouse") {
+        // Double tap toggles 1:1 (mice use the native dblclick event instead).
+        const now = e.timeStamp;
+        if (now - lastTapRef.current < DOUBLE_TAP_MS) {
+          toggleActualSize(point.x, point.y);
+          lastTapRef.current = 0;
+        } else {
+          lastTapRef.current = now;
+        }
+      } else if (
+        onSwipe &&
+        transformRef.current.scale <= MIN_SCALE &&
+        Math.abs(dx) > SWIPE_THRESHOLD &&
+        Math.abs(dx) > Math.abs(dy)
+      ) {
+        onSwipe(dx > 0 ? "previous" : "next");
+      }
+    }
+
+    // Continue panning with the remaining finger after a pinch.
+    const remaining = [...pointersRef.current.values()][0];
+    gestureRef.current = remaining ? { type: "pan", start: remaining, last: remaining, pointerType: e.pointerType } : null;
+  };
+
+  const handleDoubleClick = (e) => {
+    const point = relativePoint(e);
+    toggleActualSize(point.x, point.y);
+  };
+
+  if (!preview) {
+    return (
+      <div
+        className={`bg-gray-100 dark:bg-slate-800 flex items-center justify-center rounded-lg ${className}`}
+        role="img"
+        aria-label={`Failed to load image: ${alt}`}
+      >
+        <span className="text-gray-400 dark:text-slate-500 text-sm text-center px-2">Image unavailable</span>
+      </div>
+    );
+  }
+
+  const isZoomed = transform.scale > MIN_SCALE;
+  // Limits are shown with aria-disabled rather than disabled, so a button
+  // keeps keyboard focus when it reaches the end of the zoom range.
+  const canZoomIn = transform.scale < maxScale;
+  const controlClasses =
+    "p-1.5 rounded-full text-white hover:bg-white/20 aria-disabled:opacity-40 aria-disabled:hover:bg-transparent aria-disabled:cursor-default transition-colors focus:outline-none focus:ring-2 focus:ring-white";
+
+  return (
+    <div className="flex flex-col items-center">
+      <div
+        ref={containerRef}
+        className={`relative overflow-hidden rounded-lg shadow-2xl touch-none select-none ${isZoomed ? "cursor-grab active:cursor-grabbing" : "cursor-zoom-in"}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={handleDoubleClick}
+      >
+        <img
+          ref={imageRef}
+          src={fullUrl || preview.src}
+          srcSet={fullUrl ? undefined : previewSrcset}
+          sizes="90vw"
+          alt={alt}
+          draggable={false}
+          className={`block object-contain ${className}`}
+          style={{
+            transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`,
+            transformOrigin: "0 0",
+          }}
+        />
+        {isLoadingFull && (
+          <span className="absolute top-2 left-2 inline-flex items-center gap-1 rounded bg-black/60 px-2 py-1 text-xs text-white">
+            <Loader2 size={12} className="animate-spin" aria-hidden="true" /> Loading full resolution
+          </span>
+        )}
+      </div>
+
+      <div className="mt-3 flex items-center gap-2 rounded-full bg-black/50 px-2 py-1" role="group" aria-label="Zoom">
+        <button
+          type="button"
+          onClick={() => isZoomed && zoomAtCenter(1 / BUTTON_ZOOM_STEP)}
+          aria-disabled={!isZoomed}
+          className={controlClasses}
+          aria-label="Zoom out"
+        >
+          <ZoomOut size={18} aria-hidden="true" />
+        </button>
+        <output className="w-12 text-center text-xs text-white tabular-nums" aria-live="polite">
+          {Math.round(transform.scale * 100)}%
+        </output>
+        <button
+          type="button"
+          onClick={() => canZoomIn && zoomAtCenter(BUTTON_ZOOM_STEP)}
+          aria-disabled={!canZoomIn}
+          className={controlClasses}
+          aria-label="Zoom in"
+        >
+          <ZoomIn size={18} aria-hidden="true" />
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            const container = containerRef.current;
+            toggleActualSize(container.clientWidth / 2, container.clientHeight / 2);
+          }}
+          className={`${controlClasses} px-2 text-xs font-medium`}
+        >
+          {isZoomed ? "Fit" : "1:1"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ZoomableImage;
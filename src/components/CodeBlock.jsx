@@ -0,0 +1,197 @@
+// CodeBlock.jsx
+// Import React, hooks, the syntax highlighter, CastPlayer and Lucide icons.
+import React, { useState, useEffect, useMemo } from "react";
+import { Check, Copy } from "lucide-react";
+import CastPlayer from "../CastPlayer";
+import { highlight } from "../utils/highlight";
+
+// Colour themes: container, line numbers, highlighted lines, copy button and
+// token colours (see TokenType in utils/highlight.js). "auto" follows the
+// site's light/dark mode.
+const THEMES = {
+  dark: {
+    container: "bg-gray-800 dark:bg-slate-900/80 text-gray-100",
+    lineNumber: "text-gray-500",
+    highlighted: "bg-emerald-400/10 border-emerald-400",
+    button: "text-gray-400 hover:text-white hover:bg-gray-700",
+    tokens: {
+      comment: "text-gray-400 italic",
+      string: "text-green-400",
+      number: "text-orange-300",
+      keyword: "text-purple-300",
+      constant: "text-orange-300",
+      function: "text-sky-400",
+      variable: "text-pink-300",
+      flag: "text-yellow-400",
+      key: "text-sky-300",
+      operator: "text-gray-400",
+      prompt: "text-slate-500",
+    },
+  },
+  light: {
+    container: "bg-gray-50 text-gray-800 border border-gray-200",
+    lineNumber: "text-gray-400",
+    highlighted: "bg-emerald-100/70 border-emerald-500",
+    button: "text-gray-500 hover:text-gray-900 hover:bg-gray-200",
+    tokens: {
+      comment: "text-gray-500 italic",
+      string: "text-green-700",
+      number: "text-orange-700",
+      keyword: "text-purple-700",
+      constant: "text-orange-700",
+      function: "text-blue-700",
+      variable: "text-pink-700",
+      flag: "text-amber-700",
+      key: "text-blue-800",
+      operator: "text-gray-500",
+      prompt: "text-gray-400",
+    },
+  },
+  auto: {
+    container:
+      "bg-gray-50 text-gray-800 border border-gray-200 dark:bg-slate-900/80 dark:text-gray-100 dark:border-slate-700",
+    lineNumber: "text-gray-400 dark:text-gray-500",
+    highlighted: "bg-emerald-100/70 border-emerald-500 dark:bg-emerald-400/10 dark:border-emerald-400",
+    button: "text-gray-500 hover:text-gray-900 hover:bg-gray-200 dark:text-gray-400 dark:hover:text-white dark:hover:bg-slate-700",
+    tokens: {
+      comment: "text-gray-500 italic dark:text-gray-400",
+      string: "text-green-700 dark:text-green-400",
+      number: "text-orange-700 dark:text-orange-300",
+      keyword: "text-purple-700 dark:text-purple-300",
+      constant: "text-orange-700 dark:text-orange-300",
+      function: "text-blue-700 dark:text-sky-400",
+      variable: "text-pink-700 dark:text-pink-300",
+      flag: "text-amber-700 dark:text-yellow-400",
+      key: "text-blue-800 dark:text-sky-300",
+      operator: "text-gray-500 dark:text-gray-400",
+      prompt: "text-gray-400 dark:text-slate-500",
+    },
+  },
+};
+
+/**
+ * CodeBlock Component: Code sample in a monospaced block. Plain strings are
+ * syntax highlighted when a `language` is given and get a copy button; other
+ * children are shown as they are. With `cast`, it plays an asciinema
+ * recording instead (see CastPlayer).
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} [props.children] - Code as a string, or pre-rendered content.
+ * @param {string} [props.language] - "bash" (or "sh"/"shell"), "python", "json" or "yaml".
+ * @param {boolean} [props.showLineNumbers=false] - Number the lines.
+ * @param {number[]} [props.highlightLines=[]] - Line numbers (from 1) to emphasise.
+ * @param {boolean} [props.showCopyButton=true] - Offer to copy string code to the clipboard.
+ * @param {"dark"|"light"|"auto"} [props.theme="dark"] - Colour theme; "auto" follows the site.
+ * @param {string} [props.cast] - URL of an asciicast v2 recording to play instead.
+ * @param {string} [props.title] - What the code or recording shows, for accessible labels.
+ * @param {string} [props.className] - CSS classes for the container.
+ */
+const CodeBlock = ({
+  children,
+  language,
+  showLineNumbers = false,
+  highlightLines = [],
+  showCopyButton = true,
+  theme = "dark",
+  cast,
+  title,
+  className = "",
+}) => {
+  const [copyStatus, setCopyStatus] = useState(null);
+  const isCode = typeof children === "string";
+  const lines = useMemo(
+    () => (isCode ? highlight(children.replace(/\n$/, ""), language) : null),
+    [isCode, children, language],
+  );
+  const colors = THEMES[theme] ?? THEMES.dark;
+
+  // Clear the copy feedback after a moment.
+  useEffect(() => {
+    if (!copyStatus) return;
+    const timeoutId = setTimeout(() => setCopyStatus(null), 2000);
+    return () => clearTimeout(timeoutId);
+  }, [copyStatus]);
+
+  if (cast) {
+    return <CastPlayer src={cast} title={title} className={className} />;
+  }
+
+  if (!isCode) {
+    return (
+      <div className={`bg-gray-800 dark:bg-slate-900/80 p-4 rounded-lg font-mono text-xs overflow-x-auto shadow-inner ${className}`}>
+        <pre className="whitespace-pre-wrap leading-relaxed text-sm">
+          {children}
+        </pre>
+      </div>
+    );
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(children);
+      setCopyStatus("copied");
+    } catch {
+      // Clipboard access can be denied (e.g. insecure context).
+      setCopyStatus("failed");
+    }
+  };
+
+  return (
+    <div className={`relative rounded-lg shadow-inner ${colors.container} ${className}`}>
+      {showCopyButton && (
+        <button
+          type="button"
+          onClick={handleCopy}
+          className={`absolute top-2 right-2 p-1.5 rounded transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-emerald-500 ${colors.button}`}
+          aria-label={title ? `Copy ${title}` : "Copy code"}
+          title="Copy to clipboard"
+        >
+          {copyStatus === "copied" ? (
+            <Check size={16} className="text-emerald-500" aria-hidden="true" />
+          ) : (
+            <Copy size={16} aria-hidden="true" />
+          )}
+        </button>
+      )}
+      {copyStatus === "failed" && (
+        <span className="absolute top-3 right-11 text-xs text-red-500 dark:text-red-400">Copy failed</span>
+      )}
+      <pre className={`p-4 font-mono text-sm leading-relaxed overflow-x-auto ${showCopyButton ? "pr-12" : ""}`}>
+        <code className="block min-w-fit">
+          {lines.map((tokens, index) => {
+            const lineNumber = index + 1;
+            const isHighlighted = highlightLines.includes(lineNumber);
+            return (
+              <span
+                key={lineNumber}
+                className={`flex -mx-4 px-[calc(1rem-2px)] border-l-2 ${isHighlighted ? colors.highlighted : "border-transparent"}`}
+              >
+                {showLineNumbers && (
+                  <span className={`select-none w-8 shrink-0 pr-3 text-right ${colors.lineNumber}`} aria-hidden="true">
+                    {lineNumber}
+                  </span>
+                )}
+                <span className="whitespace-pre-wrap break-words min-w-0">
+                  {tokens.map((token, tokenIndex) => (
+                    <span key={tokenIndex} className={colors.tokens[token.type]}>
+                      {token.text}
+                    </span>
+                  ))}
+                  {/* Keeps empty lines one line tall */}
+                  {tokens.length === 0 && "\n"}
+                </span>
+              </span>
+            );
+          })}
+        </code>
+      </pre>
+
+      {/* Announce copy results to screen readers. */}
+      <span className="sr-only" aria-live="polite">
+        {copyStatus === "copied" && "Code copied to clipboard"}
+        {copyStatus === "failed" && "Could not access the clipboard"}
+      </span>
+    </div>
+  );
+};
+
+export default CodeBlock;
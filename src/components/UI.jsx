@@ -64,6 +64,16 @@ export const Textarea = ({ className = "", ...props }) => (
   />
 );
 
+// Select component for forms and toolbars
+export const Select = ({ children, className = "", ...props }) => (
+  <select 
+    className={`w-full px-3 py-2 bg-gray-50 dark:bg-slate-700/50 border border-gray-300 dark:border-slate-600 rounded-md text-sm text-gray-800 dark:text-slate-200 transition-colors duration-300 ${focusRing} ${className}`}
+    {...props}
+  >
+    {children}
+  </select>
+);
+
 // Text components for consistent typography
 export const TextPrimary = ({ children, className = "", as: Component = "span", ...props }) => (
   <Component 
@@ -184,14 +194,9 @@ export const Link = ({
   );
 };
 
-// Code block component for consistent code display
-export const CodeBlock = ({ children, className = "" }) => (
-  <div className={`bg-gray-800 dark:bg-slate-900/80 p-4 rounded-lg font-mono text-xs overflow-x-auto shadow-inner ${className}`}>
-    <pre className="whitespace-pre-wrap leading-relaxed text-sm">
-      {children}
-    </pre>
-  </div>
-);
+// Code block component for consistent code display (syntax highlighting,
+// line numbers, copy button and terminal recordings; see CodeBlock.jsx)
+export { default as CodeBlock } from "./CodeBlock";
 
 // Article component for consistent article/card styling
 export const Article = ({ children, className = "", ...props }) => (
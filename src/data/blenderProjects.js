@@ -0,0 +1,53 @@
+// data/blenderProjects.js
+// Blender projects shown in BlenderCreations. Images are names in src/assets
+// (without extension). The `slug` addresses a project in deep links such as
+// #blender/scientific-visualization/3 (see BlenderCreations.jsx).
+
+/**
+ * @typedef {object} BlenderProject
+ * @property {number} id - Stable identifier.
+ * @property {string} slug - URL segment (lowercase letters, digits and dashes).
+ * @property {string} title - Project title.
+ * @property {string} description - Short description.
+ * @property {string} [artisticStatement] - Optional artistic statement.
+ * @property {string[]} [tags] - Lowercase tags for the filter bar, e.g. "scientific".
+ * @property {string} mainImage - Cover image name.
+ * @property {(string|import("../utils/media").Media)[]} galleryImages - Gallery entries: image names, or
+ * comparisons, videos and turntable sequences (see utils/media.js).
+ */
+
+/** @type {BlenderProject[]} */
+const blenderProjects = [
+  {
+    id: 1,
+    slug: "abstract-3d-art",
+    title: "Abstract 3D Art",
+    description: "Exploring forms, textures, and lighting...",
+    artisticStatement: "Focus: Procedural generation...",
+    tags: ["procedural", "abstract"],
+    mainImage: "blenderA",
+    galleryImages: ["blenderA1", "blenderA2", "blenderA3"],
+  },
+  {
+    id: 2,
+    slug: "scientific-visualization",
+    title: "Scientific Visualization",
+    description: "Using Blender to create visualizations...",
+    artisticStatement: "Goal: To accurately and beautifully convey...",
+    tags: ["scientific"],
+    mainImage: "blenderB",
+    galleryImages: ["blenderB1", "blenderB2", "blenderB3", "blenderB4", "blenderB5"],
+  },
+  {
+    id: 3,
+    slug: "character-concept-design",
+    title: "Character/Concept Design",
+    description: "Developing unique characters and concepts...",
+    artisticStatement: "Exploration: Character storytelling...",
+    tags: ["character", "concept"],
+    mainImage: "blenderC",
+    galleryImages: ["blenderC1", "blenderC2", "blenderC3"],
+  },
+];
+
+export default blenderProjects;
@@ -0,0 +1,139 @@
+// data/cliTools.js
+// Command-line tools shown in CLIToolsSection. Each tool has a terminal demo:
+// the visitor can type its commands, and the `demo` commands play back when
+// the card scrolls into view (see TerminalEmulator.jsx and utils/terminal.js).
+// Output may use ANSI colour codes (pasted from a real terminal) or the
+// `{cmd}`/`{ok}`/`{dim}` markup of utils/terminalText.js. Tools with a
+// recorded session can also point at an asciinema `.cast` file.
+
+/**
+ * @typedef {object} CLITool
+ * @property {number} id - Stable identifier.
+ * @property {string} slug - Identifier of the tool, also used to pick its icon.
+ * @property {string} title - Tool name.
+ * @property {string} description - Short description.
+ * @property {string} [problemSolved] - Impact statement.
+ * @property {string[]} tags - Technologies and topics.
+ * @property {string} githubLink - Repository URL.
+ * @property {import("../utils/terminal").TerminalSpec} terminal - Scripted terminal demo.
+ * @property {string} [cast] - asciinema recording in src/assets (name without
+ * `.cast`), played before the scripted demo.
+ */
+
+/** @type {CLITool[]} */
+const cliTools = [
+  {
+    id: 1,
+    slug: "dft-suite",
+    title: "DFT Automation Suite",
+    description:
+      "A Python-based CLI tool to streamline Density Functional Theory (DFT) calculations, manage input/output files for software like VASP or Quantum Espresso, and automate job submissions to HPC clusters using SLURM or PBS.",
+    problemSolved:
+      "Reduces manual intervention and potential for errors in complex DFT workflows, significantly speeding up research cycles for materials simulation.",
+    tags: ["Python", "CLI", "DFT", "VASP", "HPC", "Automation", "SLURM"],
+    githubLink: "https://github.com/filipejunqueira/dft-suite",
+    terminal: {
+      program: "dft-suite",
+      subcommands: {
+        run: {
+          summary: "Generate inputs and submit a calculation",
+          flags: ["--job_type", "--struct", "--code", "--scheduler"],
+          output: [
+            { text: "{dim}Initializing calculation for Si.vasp...{/}", delay: 300 },
+            { text: "{dim}Input files generated.{/}", delay: 400 },
+            { text: "{dim}Submitting job to SLURM ID:{/} {ok}12345{/}", delay: 500 },
+            { text: "{dim}Monitoring status... Job completed successfully.{/}", delay: 1200 },
+            { text: "{dim}Final energy:{/} {ok}-5.42 eV/atom{/}", delay: 300 },
+          ],
+        },
+        status: {
+          summary: "Show the state of submitted jobs",
+          flags: ["--job", "--all"],
+          output: [
+            { text: "{dim}JOBID  TYPE   STRUCTURE  STATE      ELAPSED{/}", delay: 200 },
+            { text: "12345  relax  Si.vasp    COMPLETED  00:14:32", delay: 100 },
+            { text: "12346  bands  Si.vasp    RUNNING    00:03:10", delay: 100 },
+          ],
+        },
+        collect: {
+          summary: "Gather energies and forces from finished jobs",
+          flags: ["--job", "--format", "--out"],
+          output: [
+            { text: "{dim}Reading OUTCAR for job 12345...{/}", delay: 300 },
+            { text: "{dim}Converged in 18 ionic steps (max force 0.008 eV/Å){/}", delay: 400 },
+            { text: "{ok}Wrote results.json{/}", delay: 200 },
+          ],
+        },
+      },
+      demo: ["dft-suite run --job_type relax --struct Si.vasp"],
+    },
+  },
+  {
+    id: 2,
+    slug: "spm-analyzer",
+    title: "SPM Data Analyzer",
+    description:
+      "Command-line utilities for processing and analyzing Scanning Probe Microscopy (SPM) data (AFM/STM). Features include drift correction, plane fitting, noise filtering, tip deconvolution, and basic statistical analysis of surface features.",
+    problemSolved:
+      "Provides a consistent and scriptable way to perform common SPM data processing tasks, ensuring reproducibility and enabling batch processing of large datasets.",
+    tags: ["Python", "CLI", "SPM", "AFM", "STM", "Data Analysis", "Nanoscience"],
+    githubLink: "https://github.com/filipejunqueira/spm-analyzer",
+    terminal: {
+      program: "spm-analyzer",
+      subcommands: {
+        process: {
+          summary: "Correct and flatten a scan",
+          flags: ["--file", "--drift_correct", "--plane_fit", "--filter", "--out"],
+          output: [
+            { text: "{dim}Processing scan data: afm_scan.xyz{/}", delay: 300 },
+            { text: "{dim}Applying 2D polynomial drift correction...{/}", delay: 600 },
+            { text: "{dim}Performing plane fitting (order 1)...{/}", delay: 600 },
+            { text: "{ok}Drift corrected. RMS roughness: 0.15 nm{/}", delay: 400 },
+            { text: "{dim}Saving processed_afm_scan.dat{/}", delay: 200 },
+          ],
+        },
+        stats: {
+          summary: "Summarise surface features of a processed scan",
+          flags: ["--file", "--threshold"],
+          output: [
+            { text: "{dim}Detected 42 features above 0.3 nm{/}", delay: 500 },
+            { text: "Mean height: 0.82 nm   Mean diameter: 3.1 nm", delay: 200 },
+            { text: "{ok}Coverage: 12.4 %{/}", delay: 200 },
+          ],
+        },
+        deconvolve: {
+          summary: "Remove the tip shape from a scan",
+          flags: ["--file", "--tip_radius", "--out"],
+          output: [
+            { text: "{dim}Estimating tip shape (blind reconstruction)...{/}", delay: 800 },
+            { text: "Tip radius: 7.5 nm", delay: 200 },
+            { text: "{ok}Saving deconvolved_afm_scan.dat{/}", delay: 300 },
+          ],
+        },
+      },
+      demo: ["spm-analyzer process --file afm_scan.xyz --drift_correct --plane_fit"],
+    },
+  },
+  {
+    id: 3,
+    slug: "quickplot",
+    title: "Quick Plotter CLI",
+    description:
+      "A rapid plotting tool for generating publication-quality graphs from CSV or text files directly from the terminal. Supports various plot types, custom labels, legends, and output formats, powered by Matplotlib.",
+    problemSolved:
+      "Eliminates the need to write repetitive plotting scripts for common data visualization tasks, allowing for quick insights and figure generation from the command line.",
+    tags: ["Python", "CLI", "Plotting", "Matplotlib", "Data Viz", "Automation"],
+    githubLink: "https://github.com/filipejunqueira/quickplot",
+    terminal: {
+      program: "quickplot",
+      flags: ["--file", "--x_col", "--y_col", "--kind", "-t", "--xlabel", "--ylabel", "--save"],
+      // Pasted from a real session, ANSI colour codes included.
+      output: "\x1b[2mGenerating plot 'I-V Curve for Device X'...\x1b[0m\n\x1b[32mSaved to plot_Voltage_vs_Current.png\x1b[0m",
+      demo: [
+        'quickplot --file results.csv --x_col "Voltage" --y_col "Current" -t "I-V Curve for Device X" --xlabel "Voltage (V)" --ylabel "Current (nA)" --save plot.png',
+      ],
+    },
+  },
+];
+
+export default cliTools;
@@ -0,0 +1,47 @@
+// data/publicationDetails.js
+// Extra content for publication detail pages that does not belong in the
+// BibTeX file: key figures, links to related work on this site and optional
+// pre-generated plain-language summaries for the "Explain this paper" button.
+// Keyed by BibTeX citation key. Figures use image names from src/assets.
+
+/**
+ * @typedef {object} PublicationFigure
+ * @property {string} image - Image name in src/assets (without extension).
+ * @property {string} alt - Alt text.
+ * @property {string} caption - Figure caption.
+ */
+
+/**
+ * @typedef {object} RelatedWork
+ * @property {"cli"|"blender"} type - Kind of related work.
+ * @property {string} title - Title shown on the link.
+ * @property {string} href - In-page link to the related item.
+ */
+
+/** @type {Object<string, { summary?: string, figures?: PublicationFigure[], related?: RelatedWork[] }>} */
+const publicationDetails = {
+  gordon2020embedding: {
+    related: [
+      { type: "cli", title: "SPM Data Analyzer", href: "#cli" },
+    ],
+  },
+  gordon2019scanning: {
+    related: [
+      { type: "cli", title: "SPM Data Analyzer", href: "#cli" },
+    ],
+  },
+  jarvis2021chemical: {
+    related: [
+      { type: "cli", title: "SPM Data Analyzer", href: "#cli" },
+      { type: "blender", title: "Scientific Visualization", href: "#blender/scientific-visualization" },
+    ],
+  },
+  abbasiperez2021atomic: {
+    related: [
+      { type: "cli", title: "DFT Automation Suite", href: "#cli" },
+      { type: "blender", title: "Scientific Visualization", href: "#blender/scientific-visualization" },
+    ],
+  },
+};
+
+export default publicationDetails;
@@ -0,0 +1,59 @@
+// hooks/useFocusTrap.js
+import { useEffect } from 'react';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+/**
+ * Custom hook keeping keyboard focus inside a container (e.g. a modal dialog)
+ * Focus moves into the container when it becomes active and returns to the
+ * previously focused element (usually the control that opened it) afterwards
+ * @param {React.RefObject<HTMLElement>} containerRef - Element to trap focus in
+ * @param {boolean} [isActive=true] - Whether the trap is enabled
+ * @param {React.RefObject<HTMLElement>} [initialFocusRef] - Element to focus first
+ */
+export const useFocusTrap = (containerRef, isActive = true, initialFocusRef) => {
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!isActive || !container) return;
+
+    const previouslyFocused = document.activeElement;
+    const getFocusable = () =>
+      [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter((el) => el.getClientRects().length > 0);
+
+    (initialFocusRef?.current || getFocusable()[0] || container).focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Tab') return;
+      const focusable = getFocusable();
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      // Wrap around at either end, and pull focus back if it escaped.
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      if (previouslyFocused instanceof HTMLElement && previouslyFocused.isConnected) {
+        previouslyFocused.focus();
+      }
+    };
+  }, [containerRef, isActive, initialFocusRef]);
+};
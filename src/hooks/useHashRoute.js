@@ -0,0 +1,27 @@
+// hooks/useHashRoute.js
+import { useSyncExternalStore, useMemo } from 'react';
+import { HASH_ROUTE_EVENT, parseHash } from '../utils/hashRoute';
+
+// Re-render on user navigation (hashchange/popstate) and programmatic updates.
+const subscribe = (callback) => {
+  window.addEventListener('hashchange', callback);
+  window.addEventListener('popstate', callback);
+  window.addEventListener(HASH_ROUTE_EVENT, callback);
+  return () => {
+    window.removeEventListener('hashchange', callback);
+    window.removeEventListener('popstate', callback);
+    window.removeEventListener(HASH_ROUTE_EVENT, callback);
+  };
+};
+
+const getSnapshot = () => window.location.hash;
+
+/**
+ * Custom hook exposing the parsed location hash
+ * Updates whenever the hash changes, including via navigateHash()
+ * @returns {{ hash: string, section: string, segments: string[], params: URLSearchParams }}
+ */
+export const useHashRoute = () => {
+  const hash = useSyncExternalStore(subscribe, getSnapshot, () => '');
+  return useMemo(() => ({ hash, ...parseHash(hash) }), [hash]);
+};
@@ -0,0 +1,21 @@
+// hooks/useMediaQuery.js
+import { useSyncExternalStore, useCallback } from 'react';
+
+/**
+ * Custom hook tracking a CSS media query
+ * @param {string} query - Media query, e.g. "(min-width: 768px)"
+ * @param {boolean} [serverValue=false] - Value when rendering without a window
+ * @returns {boolean} - Whether the query currently matches
+ */
+export const useMediaQuery = (query, serverValue = false) => {
+  const subscribe = useCallback(
+    (callback) => {
+      const mediaQuery = window.matchMedia(query);
+      mediaQuery.addEventListener('change', callback);
+      return () => mediaQuery.removeEventListener('change', callback);
+    },
+    [query],
+  );
+  const getSnapshot = () => window.matchMedia(query).matches;
+  return useSyncExternalStore(subscribe, getSnapshot, () => serverValue);
+};
@@ -0,0 +1,74 @@
+// hooks/usePublicationSummary.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createSummaryProvider, staticSummary } from '../utils/summaryProviders';
+
+// One provider for the whole app, configured through VITE_SUMMARY_* variables.
+const provider = createSummaryProvider();
+
+const cacheKey = (pub) => `publicationSummary:${provider.id}:${pub.key}`;
+
+// Only live provider output is cached: pre-generated summaries always come
+// from the data file, so edits to them reach returning visitors.
+const isCacheable = (pub) => provider.id !== 'static' && !staticSummary(pub);
+
+// localStorage can be unavailable (private mode) or full; the cache is optional.
+const readCache = (pub) => {
+  if (!isCacheable(pub)) return null;
+  try {
+    return JSON.parse(localStorage.getItem(cacheKey(pub)))?.text ?? null;
+  } catch {
+    return null;
+  }
+};
+
+const writeCache = (pub, text) => {
+  if (!isCacheable(pub)) return;
+  try {
+    localStorage.setItem(cacheKey(pub), JSON.stringify({ text, createdAt: new Date().toISOString() }));
+  } catch {
+    // Ignore: the summary is still shown, just not remembered.
+  }
+};
+
+/**
+ * Custom hook for the "Explain this paper" summary of a publication
+ * Live provider summaries are cached in localStorage per provider and publication
+ * @param {object} pub - Publication data
+ * @returns {{
+ *   isAvailable: boolean,
+ *   summary: string | null,
+ *   status: 'idle' | 'loading' | 'success' | 'error',
+ *   error: string | null,
+ *   generate: function
+ * }} `generate` requests the summary, and doubles as retry after an error
+ */
+export const usePublicationSummary = (pub) => {
+  const [summary, setSummary] = useState(() => readCache(pub));
+  const [status, setStatus] = useState(() => (summary ? 'success' : 'idle'));
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Cancel an in-flight request when the component unmounts.
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const generate = useCallback(async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setStatus('loading');
+    setError(null);
+    try {
+      const text = await provider.summarize(pub, { signal: controller.signal });
+      writeCache(pub, text);
+      setSummary(text);
+      setStatus('success');
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      setError(err.name === 'SummaryError' ? err.message : 'Something went wrong while generating the summary.');
+      setStatus('error');
+    }
+  }, [pub]);
+
+  return { isAvailable: provider.canSummarize(pub), summary, status, error, generate };
+};
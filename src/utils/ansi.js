@@ -0,0 +1,378 @@
+// utils/ansi.js
+// Minimal terminal emulator for replaying recorded sessions: interprets the
+// ANSI escape codes a typical CLI emits (SGR colours and text attributes,
+// cursor movement, line and screen erasing) into a grid of styled cells.
+// Anything else (window titles, charset switches, modes) is ignored.
+
+/**
+ * @typedef {object} CellStyle
+ * @property {number|string} [fg] - Palette index (0-255) or "#rrggbb".
+ * @property {number|string} [bg] - Palette index (0-255) or "#rrggbb".
+ * @property {boolean} [bold]
+ * @property {boolean} [dim]
+ * @property {boolean} [italic]
+ * @property {boolean} [underline]
+ * @property {boolean} [inverse]
+ * @property {string} [tone] - Semantic colour from text markup such as
+ * `{ok}` (see utils/terminalText.js); SGR colours take precedence.
+ */
+
+/** @typedef {{ char: string, style: CellStyle }} Cell */
+
+/** @typedef {{ text: string, style: CellStyle, isCursor?: boolean }} Span */
+
+// The 16 basic colours (normal, then bright), tuned for a dark background.
+const BASE_PALETTE = [
+  "#1f2937", "#f87171", "#4ade80", "#facc15", "#60a5fa", "#c084fc", "#22d3ee", "#d1d5db",
+  "#6b7280", "#fca5a5", "#86efac", "#fde047", "#93c5fd", "#d8b4fe", "#67e8f9", "#f9fafb",
+];
+
+// Default colours of the player, for inverse video.
+export const DEFAULT_FOREGROUND = "#e5e7eb";
+export const DEFAULT_BACKGROUND = "#1f2937";
+
+const NO_STYLE = Object.freeze({});
+
+const ESC = "\x1b";
+const BEL = "\x07";
+const CSI_PARAMETER_CHARS = "0123456789;?";
+
+/**
+ * Length of the escape sequence starting at `start`.
+ * @param {string} text - Terminal output.
+ * @param {number} start - Index of the ESC character.
+ * @returns {number} 0 when the text ends before the sequence does.
+ */
+const sequenceLength = (text, start) => {
+  const kind = text[start + 1];
+  if (kind === undefined) return 0;
+  if (kind === "[") {
+    // CSI: parameters, intermediate bytes (space to "/"), then a final byte.
+    let end = start + 2;
+    while (end < text.length && CSI_PARAMETER_CHARS.includes(text[end])) end++;
+    while (end < text.length && text[end] >= " " && text[end] <= "/") end++;
+    return end < text.length ? end - start + 1 : 0;
+  }
+  if (kind === "]") {
+    // OSC: ended by BEL or ESC \.
+    for (let end = start + 2; end < text.length; end++) {
+      if (text[end] === BEL) return end - start + 1;
+      if (text[end] === ESC) return end + 1 < text.length ? end - start + 2 : 0;
+    }
+    return 0;
+  }
+  // Charset designations such as ESC ( B take one more character.
+  if ("()#".includes(kind)) return start + 2 < text.length ? 3 : 0;
+  return 2;
+};
+
+/**
+ * CSS colour of a palette index or hex colour.
+ * Indices 16-231 form the xterm 6×6×6 colour cube, 232-255 a grey ramp.
+ * @param {number|string} color - Palette index or "#rrggbb".
+ * @returns {string}
+ */
+export const ansiColor = (color) => {
+  if (typeof color === "string") return color;
+  if (color < 16) return BASE_PALETTE[color];
+  if (color >= 232) {
+    const level = 8 + (color - 232) * 10;
+    return `rgb(${level}, ${level}, ${level})`;
+  }
+  const index = color - 16;
+  const channel = (value) => (value === 0 ? 0 : 55 + value * 40);
+  return `rgb(${channel(Math.floor(index / 36))}, ${channel(Math.floor(index / 6) % 6)}, ${channel(index % 6)})`;
+};
+
+/**
+ * Inline CSS for a cell style.
+ * @param {CellStyle} style - Cell style.
+ * @returns {object} React style object.
+ */
+export const cellStyleToCss = (style) => {
+  let fg = style.fg === undefined ? undefined : ansiColor(style.fg);
+  let bg = style.bg === undefined ? undefined : ansiColor(style.bg);
+  if (style.inverse) [fg, bg] = [bg ?? DEFAULT_BACKGROUND, fg ?? DEFAULT_FOREGROUND];
+  return {
+    color: fg,
+    backgroundColor: bg,
+    fontWeight: style.bold ? 700 : undefined,
+    opacity: style.dim ? 0.7 : undefined,
+    fontStyle: style.italic ? "italic" : undefined,
+    textDecoration: style.underline ? "underline" : undefined,
+  };
+};
+
+/**
+ * Applies SGR ("Select Graphic Rendition") parameters to a style.
+ * @param {CellStyle} style - Current style.
+ * @param {number[]} params - Parameters of `ESC [ ... m`; empty means reset.
+ * @returns {CellStyle} The new style (a new object when anything changed).
+ */
+export const applySgr = (style, params) => {
+  if (params.length === 0) return NO_STYLE;
+  const next = { ...style };
+  for (let i = 0; i < params.length; i++) {
+    const code = params[i];
+    if (code === 0) {
+      for (const key of Object.keys(next)) delete next[key];
+    } else if (code === 1) next.bold = true;
+    else if (code === 2) next.dim = true;
+    else if (code === 3) next.italic = true;
+    else if (code === 4) next.underline = true;
+    else if (code === 7) next.inverse = true;
+    else if (code === 22) next.bold = next.dim = false;
+    else if (code === 23) next.italic = false;
+    else if (code === 24) next.underline = false;
+    else if (code === 27) next.inverse = false;
+    else if (code >= 30 && code <= 37) next.fg = code - 30;
+    else if (code >= 40 && code <= 47) next.bg = code - 40;
+    else if (code >= 90 && code <= 97) next.fg = code - 90 + 8;
+    else if (code >= 100 && code <= 107) next.bg = code - 100 + 8;
+    else if (code === 39) delete next.fg;
+    else if (code === 49) delete next.bg;
+    else if (code === 38 || code === 48) {
+      // Extended colours: 38;5;n (palette) or 38;2;r;g;b (true colour).
+      const key = code === 38 ? "fg" : "bg";
+      if (params[i + 1] === 5) {
+        next[key] = params[i + 2] ?? 0;
+        i += 2;
+      } else if (params[i + 1] === 2) {
+        const hex = params.slice(i + 2, i + 5).map((value) => (value ?? 0).toString(16).padStart(2, "0"));
+        next[key] = `#${hex.join("")}`;
+        i += 4;
+      }
+    }
+  }
+  return next;
+};
+
+/**
+ * Creates a virtual terminal screen of the given size.
+ * Lines that scroll off the top are kept, so the full session can be read
+ * back as a transcript.
+ * @param {number} cols - Width in characters.
+ * @param {number} rows - Height in lines.
+ */
+export const createScreen = (cols, rows) => {
+  /** @type {Cell[][]} */
+  let lines = [[]];
+  let x = 0;
+  // Cursor row, counted from the top of the visible screen.
+  let y = 0;
+  let style = NO_STYLE;
+  let saved = { x: 0, y: 0, style: NO_STYLE };
+  let cursorVisible = true;
+  // Incomplete escape sequence at the end of the previous write.
+  let pending = "";
+
+  const top = () => Math.max(0, lines.length - rows);
+  const line = () => {
+    const index = top() + y;
+    while (lines.length <= index) lines.push([]);
+    return lines[index];
+  };
+  const blank = () => ({ char: " ", style });
+
+  const lineFeed = () => {
+    line();
+    if (y === rows - 1) lines.push([]);
+    else y++;
+  };
+
+  const put = (char) => {
+    if (x >= cols) {
+      x = 0;
+      lineFeed();
+    }
+    const cells = line();
+    while (cells.length < x) cells.push(blank());
+    cells[x] = { char, style };
+    x++;
+  };
+
+  const eraseInLine = (mode) => {
+    const cells = line();
+    if (mode === 0) cells.length = Math.min(cells.length, x);
+    else if (mode === 1) for (let i = 0; i <= x && i < cells.length; i++) cells[i] = blank();
+    else cells.length = 0;
+  };
+
+  const eraseInDisplay = (mode) => {
+    const first = top();
+    if (mode === 0) {
+      eraseInLine(0);
+      for (let i = first + y + 1; i < lines.length; i++) lines[i] = [];
+    } else if (mode === 1) {
+      for (let i = first; i < first + y; i++) lines[i] = [];
+      eraseInLine(1);
+    } else {
+      // Like xterm, push the current screen into the scrollback.
+      for (let i = 0; i < rows; i++) lines.push([]);
+    }
+  };
+
+  const moveTo = (col, row) => {
+    x = Math.min(Math.max(col, 0), cols - 1);
+    y = Math.min(Math.max(row, 0), rows - 1);
+  };
+
+  const csi = (paramText, final) => {
+    // Private modes such as ?25l (hide cursor) start with "?".
+    if (paramText.startsWith("?")) {
+      if (paramText === "?25") cursorVisible = final === "h";
+      return;
+    }
+    const params = paramText === "" ? [] : paramText.split(";").map((value) => (value === "" ? 0 : Number(value)));
+    const count = Math.max(params[0] || 1, 1);
+    switch (final) {
+      case "m":
+        style = applySgr(style, params);
+        break;
+      case "A":
+        moveTo(x, y - count);
+        break;
+      case "B":
+        moveTo(x, y + count);
+        break;
+      case "C":
+        moveTo(x + count, y);
+        break;
+      case "D":
+        moveTo(x - count, y);
+        break;
+      case "E":
+        moveTo(0, y + count);
+        break;
+      case "F":
+        moveTo(0, y - count);
+        break;
+      case "G":
+        moveTo(count - 1, y);
+        break;
+      case "H":
+      case "f":
+        moveTo((params[1] || 1) - 1, (params[0] || 1) - 1);
+        break;
+      case "J":
+        eraseInDisplay(params[0] ?? 0);
+        break;
+      case "K":
+        eraseInLine(params[0] ?? 0);
+        break;
+      case "s":
+        saved = { x, y, style };
+        break;
+      case "u":
+        ({ x, y, style } = saved);
+        break;
+      default:
+      // Unsupported sequences are dropped.
+    }
+  };
+
+  /**
+   * Feeds terminal output to the screen.
+   * @param {string} data - Raw output, escape codes included.
+   */
+  const write = (data) => {
+    const text = pending + data;
+    pending = "";
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+      if (char === ESC) {
+        const length = sequenceLength(text, i);
+        if (length === 0) {
+          // The sequence continues in the next write.
+          pending = text.slice(i);
+          return;
+        }
+        const sequence = text.slice(i, i + length);
+        const kind = sequence[1];
+        if (kind === "[") {
+          csi(
+            [...sequence.slice(2, -1)].filter((c) => CSI_PARAMETER_CHARS.includes(c)).join(""),
+            sequence[sequence.length - 1],
+          );
+        } else if (kind === "7") saved = { x, y, style };
+        else if (kind === "8") ({ x, y, style } = saved);
+        else if (kind === "c") {
+          lines = [[]];
+          x = y = 0;
+          style = NO_STYLE;
+        }
+        // OSC strings (window titles) and charset designations are skipped.
+        i += length;
+        continue;
+      }
+      if (char === "\r") x = 0;
+      else if (char === "\n") lineFeed();
+      else if (char === "\b") x = Math.max(0, x - 1);
+      else if (char === "\t") x = Math.min(cols - 1, (Math.floor(x / 8) + 1) * 8);
+      else if (char >= " ") put(char);
+      i++;
+    }
+  };
+
+  /**
+   * Changes the screen size, e.g. for a resize event in a recording.
+   * @param {number} newCols - Width in characters.
+   * @param {number} newRows - Height in lines.
+   */
+  const resize = (newCols, newRows) => {
+    const absoluteRow = top() + y;
+    cols = newCols;
+    rows = newRows;
+    moveTo(x, absoluteRow - top());
+  };
+
+  return {
+    write,
+    resize,
+    /**
+     * Sets the semantic colour of text written from now on, until the next
+     * call or an SGR reset.
+     * @param {string} [tone] - Tone name; undefined clears it.
+     */
+    setTone: (tone) => {
+      style = { ...style, tone };
+      if (!tone) delete style.tone;
+    },
+    /** @returns {{ cols: number, rows: number }} */
+    getSize: () => ({ cols, rows }),
+    /** @returns {Cell[][]} The visible lines, top to bottom. */
+    getRows: () => {
+      const first = top();
+      return Array.from({ length: rows }, (_, index) => lines[first + index] ?? []);
+    },
+    /** @returns {{ row: number, col: number, visible: boolean }} */
+    getCursor: () => ({ row: y, col: Math.min(x, cols - 1), visible: cursorVisible }),
+    /** @returns {string} Everything written so far as plain text, scrollback included. */
+    getText: () =>
+      lines
+        .map((cells) => cells.map(({ char }) => char).join("").trimEnd())
+        .join("\n")
+        .replace(/\n+$/, ""),
+  };
+};
+
+/**
+ * Groups a line of cells into runs of equal style, for rendering.
+ * @param {Cell[]} cells - One line of the screen.
+ * @param {number} [cursorCol] - Column of the cursor on this line, if any.
+ * @returns {Span[]}
+ */
+export const toSpans = (cells, cursorCol) => {
+  const spans = [];
+  const length = cursorCol === undefined ? cells.length : Math.max(cells.length, cursorCol + 1);
+  for (let i = 0; i < length; i++) {
+    const { char, style } = cells[i] ?? { char: " ", style: NO_STYLE };
+    const isCursor = i === cursorCol;
+    const last = spans[spans.length - 1];
+    if (last && !isCursor && !last.isCursor && last.style === style) last.text += char;
+    else spans.push({ text: char, style, ...(isCursor && { isCursor }) });
+  }
+  return spans;
+};
+
@@ -0,0 +1,91 @@
+// utils/asciicast.js
+// Reader for asciinema recordings in the asciicast v2 format
+// (https://docs.asciinema.org/manual/asciicast/v2/): a JSON header line,
+// then one JSON event per line.
+import { createScreen } from "./ansi";
+
+/**
+ * @typedef {object} CastEvent
+ * @property {number} time - Seconds since the start of the recording.
+ * @property {"o"|"r"} type - Output, or a terminal resize.
+ * @property {string} data - Output text, or "COLSxROWS" for a resize.
+ */
+
+/**
+ * @typedef {object} Cast
+ * @property {number} width - Initial terminal width, in characters.
+ * @property {number} height - Initial terminal height, in lines.
+ * @property {string} [title] - Title from the recording.
+ * @property {number} duration - Length of the playback, in seconds.
+ * @property {CastEvent[]} events - Output and resize events, in order.
+ */
+
+/**
+ * Parses an asciicast v2 file.
+ * Pauses longer than the header's `idle_time_limit` (or `maxIdle`, if
+ * smaller) are shortened, as the asciinema player does.
+ * @param {string} text - Contents of the .cast file.
+ * @param {object} [options]
+ * @param {number} [options.maxIdle=Infinity] - Longest pause to keep, in seconds.
+ * @returns {Cast}
+ * @throws {Error} If the file is not an asciicast v2 recording.
+ */
+export const parseCast = (text, { maxIdle = Infinity } = {}) => {
+  const [headerLine, ...eventLines] = text.split("\n").filter((line) => line.trim());
+  let header;
+  try {
+    header = JSON.parse(headerLine);
+  } catch {
+    throw new Error("Not an asciicast file: the first line is not JSON");
+  }
+  if (header?.version !== 2) {
+    throw new Error(`Unsupported asciicast version: ${header?.version}`);
+  }
+
+  const idleLimit = Math.min(header.idle_time_limit ?? Infinity, maxIdle);
+  const events = [];
+  let previousTime = 0;
+  let shift = 0;
+  for (const line of eventLines) {
+    const [time, type, data] = JSON.parse(line);
+    // Input ("i") and marker ("m") events do not change the screen.
+    if (type !== "o" && type !== "r") continue;
+    shift += Math.max(0, time - previousTime - idleLimit);
+    previousTime = time;
+    events.push({ time: time - shift, type, data });
+  }
+
+  return {
+    width: header.width,
+    height: header.height,
+    title: header.title,
+    duration: events.length > 0 ? events[events.length - 1].time : 0,
+    events,
+  };
+};
+
+/**
+ * Applies one event to a screen.
+ * @param {ReturnType<typeof createScreen>} screen - Screen to update.
+ * @param {CastEvent} event - Recorded event.
+ */
+export const applyCastEvent = (screen, event) => {
+  if (event.type === "o") {
+    screen.write(event.data);
+  } else {
+    const [cols, rows] = event.data.split("x").map(Number);
+    if (cols > 0 && rows > 0) screen.resize(cols, rows);
+  }
+};
+
+/**
+ * Plain-text transcript of a whole recording, for screen readers and
+ * visitors who prefer reduced motion.
+ * @param {Cast} cast - Parsed recording.
+ * @returns {string}
+ */
+export const getCastTranscript = (cast) => {
+  const screen = createScreen(cast.width, cast.height);
+  for (const event of cast.events) applyCastEvent(screen, event);
+  return screen.getText();
+};
@@ -0,0 +1,137 @@
+// utils/authors.js
+// Structured author handling: parsing free-form author strings, recognising
+// the site owner's name variants, author roles and collapsed author lists.
+
+/**
+ * Markers that can follow an author's name to flag a role, e.g. "Jarvis*".
+ * Several symbols map to the same role because journals disagree on them.
+ */
+export const AUTHOR_ROLES = {
+  equal: { symbol: "†", label: "Equal contribution" },
+  corresponding: { symbol: "*", label: "Corresponding author" },
+};
+
+const MARKER_ROLES = {
+  "†": "equal",
+  "#": "equal",
+  "*": "corresponding",
+  "✉": "corresponding",
+};
+
+const MARKER_PATTERN = /[†#*✉]/g;
+
+// Separators between names: ", and", ", &", "and", "&", ";" and ","
+const SEPARATOR_PATTERN = /\s*(?:,\s*(?:and|&)\s+|\s+and\s+|\s*&\s*|\s*;\s*|\s*,\s*)/i;
+
+/**
+ * Lower-cases and strips diacritics for comparisons, so "perez" matches "Pérez".
+ * @param {string} [text=""] - Text to compare.
+ * @returns {string}
+ */
+export const normalize = (text = "") =>
+  text.normalize("NFD").replace(/[̀-ͯ]/g, "").toLowerCase().trim();
+
+/**
+ * Adds full stops to bare initials: "M" -> "M.", "LQ" -> "L. Q.".
+ * Also used by plugins/bibtexParser.js, so this module must not import anything.
+ * @param {string} given - Given names.
+ * @returns {string}
+ */
+export const formatGivenNames = (given) =>
+  given
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((token) =>
+      /^[A-Z]{1,3}$/.test(token)
+        ? token.split("").map((initial) => `${initial}.`).join(" ")
+        : token,
+    )
+    .join(" ");
+
+/**
+ * Whether a name is one of the site owner's variants
+ * ("Filipe Junqueira", "F. Junqueira", "Filipe LQ Junqueira", "F. L. Q. Junqueira", ...).
+ * @param {{ given: string, family: string }} name - Structured name.
+ * @returns {boolean}
+ */
+export const isSiteOwner = ({ given = "", family = "" }) =>
+  normalize(family) === "junqueira" && (!given || normalize(given).startsWith("f"));
+
+// Pulls role markers out of a name part.
+const extractRoles = (text) => {
+  const roles = new Set((text.match(MARKER_PATTERN) || []).map((marker) => MARKER_ROLES[marker]));
+  return { text: text.replace(MARKER_PATTERN, "").trim(), roles };
+};
+
+// Builds a person object from given/family parts that may carry markers.
+const toPerson = (given, family) => {
+  const givenPart = extractRoles(given);
+  const familyPart = extractRoles(family);
+  const person = {
+    given: formatGivenNames(givenPart.text),
+    family: familyPart.text,
+    roles: [...new Set([...givenPart.roles, ...familyPart.roles])],
+  };
+  return {
+    ...person,
+    name: [person.given, person.family].filter(Boolean).join(" "),
+    isOwner: isSiteOwner(person),
+  };
+};
+
+/**
+ * Parses a free-form author string into an ordered list of people.
+ * Accepts "A and B and C", "A, B, and C", "A, B & C" and trailing full stops;
+ * names are expected in "Given Family" order.
+ * @param {string} authors - Author string.
+ * @returns {{ name: string, given: string, family: string, roles: string[], isOwner: boolean }[]}
+ */
+export const parseAuthors = (authors = "") =>
+  authors
+    .trim()
+    .replace(/\.$/, "")
+    .split(SEPARATOR_PATTERN)
+    .filter(Boolean)
+    .map((name) => {
+      const words = name.trim().split(/\s+/);
+      // Keep lower-case particles with the family name: "Bernardo de Andrade".
+      let familyStart = words.length - 1;
+      while (familyStart > 1 && /^[a-z]/.test(words[familyStart - 1])) familyStart--;
+      return toPerson(words.slice(0, familyStart).join(" "), words.slice(familyStart).join(" "));
+    });
+
+/**
+ * Returns the structured author list of a publication. Uses the names split
+ * by the BibTeX plugin when available and parses `pub.authors` otherwise.
+ * @param {object} pub - Publication data.
+ * @returns {{ name: string, given: string, family: string, roles: string[], isOwner: boolean }[]}
+ */
+export const getAuthors = (pub) =>
+  pub.authorList
+    ? pub.authorList.map(({ given, family }) => toPerson(given, family))
+    : parseAuthors(pub.authors);
+
+/**
+ * Collapses a long author list to the first author, the site owner and the
+ * last author, with ellipses marking the gaps: "First, …, Junqueira, …, Last".
+ * @param {object[]} authors - Structured authors from getAuthors().
+ * @param {number} [maxVisible=6] - Lists up to this length are not collapsed.
+ * @returns {{ items: ({ type: "author", author: object, index: number } | { type: "gap" })[], hiddenCount: number }}
+ */
+export const collapseAuthors = (authors, maxVisible = 6) => {
+  const all = authors.map((author, index) => ({ type: "author", author, index }));
+  if (authors.length <= maxVisible) return { items: all, hiddenCount: 0 };
+
+  const kept = new Set([0, authors.length - 1]);
+  authors.forEach((author, index) => author.isOwner && kept.add(index));
+
+  const items = [];
+  all.forEach((item) => {
+    if (kept.has(item.index)) {
+      items.push(item);
+    } else if (items[items.length - 1]?.type !== "gap") {
+      items.push({ type: "gap" });
+    }
+  });
+  return { items, hiddenCount: authors.length - kept.size };
+};
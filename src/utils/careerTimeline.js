@@ -0,0 +1,88 @@
+// utils/careerTimeline.js
+// Layout of the career timeline in CareerTimeline.jsx: places each
+// milestone's periods on a shared time axis and stacks overlapping roles in
+// parallel lanes.
+
+/**
+ * @typedef {object} CareerPeriod
+ * @property {string} start - "YYYY-MM", or "YYYY" for January.
+ * @property {string} [end] - "YYYY-MM" (inclusive), or "YYYY" for December;
+ * omitted while the role is ongoing.
+ */
+
+/**
+ * @typedef {object} TimelineBar
+ * @property {object} milestone - Career milestone.
+ * @property {number} lane - Lane index, from 0.
+ * @property {{ from: number, to: number }[]} spans - Periods as fractions of
+ * the axis, from 0 (axis start) to 1 (axis end).
+ */
+
+/**
+ * Months since year 0 at which a period boundary falls.
+ * @param {string} date - "YYYY" or "YYYY-MM".
+ * @param {boolean} isEnd - End dates include their whole month (or year).
+ * @returns {number}
+ */
+const toMonths = (date, isEnd) => {
+  const [year, month] = date.split("-").map(Number);
+  if (!month) return (year + (isEnd ? 1 : 0)) * 12;
+  return year * 12 + month - (isEnd ? 0 : 1);
+};
+
+/**
+ * Lays milestones out on a time axis that spans whole years.
+ * Each milestone keeps all its periods in one lane; a milestone goes in the
+ * first lane where none of its periods overlaps another role.
+ * @param {object[]} milestones - Career milestones with `periods`.
+ * @param {Date} [now=new Date()] - End of ongoing periods.
+ * @returns {{ bars: TimelineBar[], lanes: number, startYear: number, endYear: number }}
+ * `endYear` is exclusive.
+ */
+export const layoutTimeline = (milestones, now = new Date()) => {
+  const nowMonths = now.getFullYear() * 12 + now.getMonth() + 1;
+  const items = milestones
+    .filter((milestone) => milestone.periods?.length)
+    .map((milestone) => ({
+      milestone,
+      periods: milestone.periods.map(({ start, end }) => ({
+        start: toMonths(start, false),
+        end: end ? toMonths(end, true) : nowMonths,
+      })),
+    }))
+    .sort((a, b) => Math.min(...a.periods.map(({ start }) => start)) - Math.min(...b.periods.map(({ start }) => start)));
+  if (items.length === 0) return { bars: [], lanes: 0, startYear: 0, endYear: 0 };
+
+  // Periods already placed in each lane.
+  const lanes = [];
+  const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+  const placed = items.map((item) => {
+    let lane = lanes.findIndex((taken) => !item.periods.some((period) => taken.some((other) => overlaps(period, other))));
+    if (lane === -1) {
+      lane = lanes.length;
+      lanes.push([]);
+    }
+    lanes[lane].push(...item.periods);
+    return { ...item, lane };
+  });
+
+  const allPeriods = items.flatMap(({ periods }) => periods);
+  const startYear = Math.floor(Math.min(...allPeriods.map(({ start }) => start)) / 12);
+  const endYear = Math.ceil(Math.max(...allPeriods.map(({ end }) => end)) / 12);
+  const axisStart = startYear * 12;
+  const axisLength = (endYear - startYear) * 12;
+
+  return {
+    bars: placed.map(({ milestone, lane, periods }) => ({
+      milestone,
+      lane,
+      spans: periods.map(({ start, end }) => ({
+        from: (start - axisStart) / axisLength,
+        to: (end - axisStart) / axisLength,
+      })),
+    })),
+    lanes: lanes.length,
+    startYear,
+    endYear,
+  };
+};
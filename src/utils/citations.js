@@ -0,0 +1,245 @@
+// utils/citations.js
+// Client-side citation export: every format is generated from the publication
+// data produced by the BibTeX plugin, so no network access is needed.
+import { getAuthors } from "./authors";
+
+/**
+ * Returns the initials of a given name: "Filipe L. Q." -> "F. L. Q.",
+ * "Tien-Lin" -> "T.-L."
+ * @param {string} given - Given name(s).
+ * @returns {string}
+ */
+const toInitials = (given = "") =>
+  given
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) =>
+      part
+        .split("-")
+        .map((piece) => `${piece.charAt(0).toUpperCase()}.`)
+        .join("-"),
+    )
+    .join(" ");
+
+// Joins a list using commas and a final conjunction ("A, B and C").
+const joinList = (items, conjunction, serialComma = false) => {
+  if (items.length <= 1) return items.join("");
+  const head = items.slice(0, -1).join(", ");
+  return `${head}${serialComma && items.length > 2 ? "," : ""} ${conjunction} ${items[items.length - 1]}`;
+};
+
+// Escapes characters that have special meaning in BibTeX field values.
+const escapeBibTeX = (value) => String(value).replace(/([&%$#_])/g, "\\$1");
+
+/**
+ * Splits a pages string such as "12--34" into first and last page.
+ * @param {string} [pages=""] - Pages field.
+ * @returns {string[]} One entry for a single page (or article number).
+ */
+export const splitPages = (pages = "") => pages.split(/\s*[-–]+\s*/);
+
+/**
+ * Formats a publication as a BibTeX entry.
+ * @param {object} pub - Publication data.
+ * @returns {string}
+ */
+export const toBibTeX = (pub) => {
+  const fields = [
+    ["title", pub.title],
+    ["author", getAuthors(pub).map(({ given, family }) => (given ? `${family}, ${given}` : family)).join(" and ")],
+    [pub.entryType === "article" ? "journal" : "booktitle", pub.journal],
+    ["publisher", pub.publisher],
+    ["volume", pub.volume],
+    ["number", pub.number],
+    ["pages", pub.pages && pub.pages.replace(/\s*[-–]+\s*/, "--")],
+    ["year", pub.year],
+    ["doi", pub.doi],
+    ["url", pub.link],
+    ["note", pub.note],
+  ].filter(([, value]) => value);
+
+  const width = Math.max(...fields.map(([name]) => name.length));
+  const body = fields
+    .map(([name, value]) => `  ${name.padEnd(width)} = {${escapeBibTeX(value)}}`)
+    .join(",\n");
+  return `@${pub.entryType || "article"}{${pub.key},\n${body}\n}`;
+};
+
+/**
+ * Formats a publication as an RIS record.
+ * @param {object} pub - Publication data.
+ * @returns {string}
+ */
+export const toRIS = (pub) => {
+  const [startPage, endPage] = splitPages(pub.pages);
+  const lines = [
+    ["TY", pub.entryType === "article" ? "JOUR" : "CONF"],
+    ...getAuthors(pub).map(({ given, family }) => ["AU", given ? `${family}, ${given}` : family]),
+    ["TI", pub.title],
+    ["T2", pub.journal],
+    ["PB", pub.publisher],
+    ["PY", pub.year],
+    ["VL", pub.volume],
+    ["IS", pub.number],
+    ["SP", startPage],
+    ["EP", endPage],
+    ["DO", pub.doi],
+    ["UR", pub.link],
+    ["N1", pub.note],
+    ["ER", ""],
+  ].filter(([tag, value]) => value || tag === "ER");
+  return lines.map(([tag, value]) => `${tag}  - ${value}`).join("\n");
+};
+
+/**
+ * Converts a publication to a CSL-JSON item.
+ * @param {object} pub - Publication data.
+ * @returns {object}
+ */
+export const toCSL = (pub) => ({
+  id: pub.key,
+  type: pub.entryType === "article" ? "article-journal" : "paper-conference",
+  title: pub.title,
+  author: getAuthors(pub).map(({ given, family }) => ({ family, given })),
+  "container-title": pub.journal,
+  publisher: pub.publisher,
+  volume: pub.volume,
+  issue: pub.number,
+  page: pub.pages,
+  issued: { "date-parts": [[Number(pub.year)]] },
+  DOI: pub.doi,
+  URL: pub.link,
+  note: pub.note,
+});
+
+// Appends the volume/issue/pages locator used by APA.
+const apaSource = (pub) => {
+  let source = pub.journal;
+  if (pub.volume) source += `, ${pub.volume}${pub.number ? `(${pub.number})` : ""}`;
+  if (pub.pages) source += `, ${pub.pages}`;
+  return source;
+};
+
+/**
+ * Formats a publication in APA (7th edition) style.
+ * @param {object} pub - Publication data.
+ * @returns {string}
+ */
+export const toAPA = (pub) => {
+  const names = getAuthors(pub).map(({ given, family }) =>
+    given ? `${family}, ${toInitials(given)}` : family,
+  );
+  // APA lists up to 20 authors; beyond that, the first 19, an ellipsis and the last.
+  const authors =
+    names.length > 20
+      ? `${names.slice(0, 19).join(", ")}, . . . ${names[names.length - 1]}`
+      : names.length > 1
+        ? `${names.slice(0, -1).join(", ")}, & ${names[names.length - 1]}`
+        : names.join("");
+  const link = pub.doi ? `https://doi.org/${pub.doi}` : pub.link;
+  return `${authors} (${pub.year}). ${pub.title}. ${apaSource(pub)}. ${link}`;
+};
+
+/**
+ * Formats a publication in Nature style.
+ * @param {object} pub - Publication data.
+ * @returns {string}
+ */
+export const toNature = (pub) => {
+  const names = getAuthors(pub).map(({ given, family }) =>
+    given ? `${family}, ${toInitials(given)}` : family,
+  );
+  // Nature lists up to five authors, otherwise the first followed by "et al."
+  const authors =
+    names.length > 5 ? `${names[0]} et al.` : joinList(names, "&");
+  const locator = [pub.volume, pub.pages].filter(Boolean).join(", ");
+  return `${authors} ${pub.title}. ${pub.journal}${locator ? ` ${locator}` : ""} (${pub.year}).`;
+};
+
+/**
+ * Formats a publication in IEEE style.
+ * @param {object} pub - Publication data.
+ * @returns {string}
+ */
+export const toIEEE = (pub) => {
+  const names = getAuthors(pub).map(({ given, family }) =>
+    given ? `${toInitials(given)} ${family}` : family,
+  );
+  // IEEE lists up to six authors, otherwise the first followed by "et al."
+  const authors = names.length > 6 ? `${names[0]} et al.` : joinList(names, "and", true);
+  const parts = [
+    `${authors}, "${pub.title}," ${pub.journal}`,
+    pub.volume && `vol. ${pub.volume}`,
+    pub.number && `no. ${pub.number}`,
+    pub.pages && (/[-–]/.test(pub.pages) ? `pp. ${pub.pages.replace(/\s*[-–]+\s*/, "–")}` : `p. ${pub.pages}`),
+    pub.year,
+    pub.doi && `doi: ${pub.doi}`,
+  ].filter(Boolean);
+  return `${parts.join(", ")}.`;
+};
+
+/**
+ * Supported citation formats, in menu order.
+ * `formatAll` combines several publications into a single export file.
+ */
+export const CITATION_FORMATS = [
+  {
+    id: "bibtex",
+    label: "BibTeX",
+    extension: "bib",
+    mimeType: "application/x-bibtex",
+    formatAll: (pubs) => pubs.map(toBibTeX).join("\n\n"),
+  },
+  {
+    id: "ris",
+    label: "RIS",
+    extension: "ris",
+    mimeType: "application/x-research-info-systems",
+    formatAll: (pubs) => pubs.map(toRIS).join("\n\n"),
+  },
+  {
+    id: "csl-json",
+    label: "CSL-JSON",
+    extension: "json",
+    mimeType: "application/vnd.citationstyles.csl+json",
+    formatAll: (pubs) => JSON.stringify(pubs.map(toCSL), null, 2),
+  },
+  {
+    id: "apa",
+    label: "APA",
+    extension: "txt",
+    mimeType: "text/plain",
+    formatAll: (pubs) => pubs.map(toAPA).join("\n\n"),
+  },
+  {
+    id: "nature",
+    label: "Nature",
+    extension: "txt",
+    mimeType: "text/plain",
+    formatAll: (pubs) => pubs.map((pub, i) => `${pubs.length > 1 ? `${i + 1}. ` : ""}${toNature(pub)}`).join("\n"),
+  },
+  {
+    id: "ieee",
+    label: "IEEE",
+    extension: "txt",
+    mimeType: "text/plain",
+    formatAll: (pubs) => pubs.map((pub, i) => `${pubs.length > 1 ? `[${i + 1}] ` : ""}${toIEEE(pub)}`).join("\n"),
+  },
+];
+
+/**
+ * Saves text as a file using a temporary object URL.
+ * @param {string} filename - Suggested file name.
+ * @param {string} text - File contents.
+ * @param {string} mimeType - MIME type of the contents.
+ */
+export const downloadText = (filename, text, mimeType) => {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  URL.revokeObjectURL(url);
+};
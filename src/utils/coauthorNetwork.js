@@ -0,0 +1,152 @@
+// utils/coauthorNetwork.js
+// Builds the co-authorship graph implied by the publication author lists and
+// lays it out with a small deterministic force simulation (no GPU, no deps).
+import { getAuthors } from "./authors";
+
+/**
+ * Builds the collaboration graph. Co-authors are identified by family name,
+ * matching the `coauthor` filter of the publications toolbar.
+ * @param {object[]} publications - Publication data.
+ * @returns {{
+ *   nodes: { id: string, label: string, count: number, years: string[], isOwner: boolean }[],
+ *   edges: { source: string, target: string, weight: number }[]
+ * }} `count` is the number of papers shared with the site owner.
+ */
+export const buildCoauthorGraph = (publications) => {
+  const nodes = new Map();
+  const edges = new Map();
+
+  publications.forEach((pub) => {
+    const authors = getAuthors(pub);
+    const ids = [...new Set(authors.map((author) => (author.isOwner ? "__owner__" : author.family)))];
+
+    authors.forEach((author) => {
+      const id = author.isOwner ? "__owner__" : author.family;
+      const node = nodes.get(id) || { id, label: author.name, papers: new Set(), years: new Set(), isOwner: author.isOwner };
+      // Prefer the most complete spelling of a name.
+      if (author.name.length > node.label.length) node.label = author.name;
+      node.papers.add(pub.key);
+      node.years.add(pub.year);
+      nodes.set(id, node);
+    });
+
+    ids.forEach((source, i) => {
+      ids.slice(i + 1).forEach((target) => {
+        const edgeId = [source, target].sort().join("|");
+        const edge = edges.get(edgeId) || { source, target, weight: 0 };
+        edge.weight += 1;
+        edges.set(edgeId, edge);
+      });
+    });
+  });
+
+  return {
+    nodes: [...nodes.values()].map(({ papers, years, ...node }) => ({
+      ...node,
+      count: papers.size,
+      years: [...years].sort(),
+    })),
+    edges: [...edges.values()],
+  };
+};
+
+/**
+ * Computes node positions with a Fruchterman–Reingold style simulation.
+ * The result is deterministic for a given graph, so server and client agree.
+ * @param {{ id: string, isOwner?: boolean }[]} nodes - Graph nodes.
+ * @param {{ source: string, target: string, weight: number }[]} edges - Graph edges.
+ * @param {object} [options] - Layout options.
+ * @param {number} [options.width=600] - Layout width.
+ * @param {number} [options.height=400] - Layout height.
+ * @param {number} [options.iterations=300] - Simulation steps.
+ * @param {number} [options.padding=40] - Minimum distance from the edges.
+ * @param {number} [options.minDistance=44] - Minimum distance between node centres.
+ * @returns {Object<string, { x: number, y: number }>} Positions keyed by node id.
+ */
+export const runForceLayout = (
+  nodes,
+  edges,
+  { width = 600, height = 400, iterations = 300, padding = 40, minDistance = 44 } = {},
+) => {
+  const centerX = width / 2;
+  const centerY = height / 2;
+  // Ideal edge length for the available area.
+  const k = Math.sqrt((width * height) / Math.max(nodes.length, 1)) * 0.75;
+
+  // Start on a circle (owner in the middle) so the outcome is reproducible.
+  const positions = {};
+  nodes.forEach((node, index) => {
+    const angle = (2 * Math.PI * index) / nodes.length;
+    positions[node.id] = node.isOwner
+      ? { x: centerX, y: centerY }
+      : { x: centerX + Math.cos(angle) * width * 0.35, y: centerY + Math.sin(angle) * height * 0.35 };
+  });
+
+  let temperature = width / 10;
+  const cooling = temperature / (iterations + 1);
+
+  for (let step = 0; step < iterations; step++) {
+    const displacement = Object.fromEntries(nodes.map((node) => [node.id, { x: 0, y: 0 }]));
+
+    // Repulsion between every pair of nodes.
+    nodes.forEach((a, i) => {
+      nodes.slice(i + 1).forEach((b) => {
+        const dx = positions[a.id].x - positions[b.id].x || 0.01;
+        const dy = positions[a.id].y - positions[b.id].y || 0.01;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / distance;
+        displacement[a.id].x += (dx / distance) * force;
+        displacement[a.id].y += (dy / distance) * force;
+        displacement[b.id].x -= (dx / distance) * force;
+        displacement[b.id].y -= (dy / distance) * force;
+      });
+    });
+
+    // Attraction along edges, stronger for frequent collaborators.
+    edges.forEach(({ source, target, weight }) => {
+      const dx = positions[source].x - positions[target].x;
+      const dy = positions[source].y - positions[target].y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = ((distance * distance) / k) * Math.sqrt(weight);
+      displacement[source].x -= (dx / distance) * force;
+      displacement[source].y -= (dy / distance) * force;
+      displacement[target].x += (dx / distance) * force;
+      displacement[target].y += (dy / distance) * force;
+    });
+
+    nodes.forEach((node) => {
+      if (node.isOwner) return; // The owner stays pinned in the centre.
+      const { x, y } = displacement[node.id];
+      const length = Math.max(Math.hypot(x, y), 0.01);
+      const position = positions[node.id];
+      // Gentle gravity keeps disconnected parts on screen.
+      position.x += (x / length) * Math.min(length, temperature) + (centerX - position.x) * 0.01;
+      position.y += (y / length) * Math.min(length, temperature) + (centerY - position.y) * 0.01;
+      position.x = Math.min(width - padding, Math.max(padding, position.x));
+      position.y = Math.min(height - padding, Math.max(padding, position.y));
+    });
+
+    // Push overlapping nodes apart so labels and circles stay readable.
+    nodes.forEach((a, i) => {
+      nodes.slice(i + 1).forEach((b) => {
+        const pa = positions[a.id];
+        const pb = positions[b.id];
+        const distance = Math.max(Math.hypot(pa.x - pb.x, pa.y - pb.y), 0.01);
+        if (distance >= minDistance) return;
+        const overlap = minDistance - distance;
+        const ux = (pa.x - pb.x) / distance;
+        const uy = (pa.y - pb.y) / distance;
+        // A pinned owner does not move, so the other node takes the whole shift.
+        const shareA = a.isOwner ? 0 : b.isOwner ? 1 : 0.5;
+        pa.x += ux * overlap * shareA;
+        pa.y += uy * overlap * shareA;
+        pb.x -= ux * overlap * (1 - shareA);
+        pb.y -= uy * overlap * (1 - shareA);
+      });
+    });
+
+    temperature -= cooling;
+  }
+
+  return positions;
+};
@@ -0,0 +1,16 @@
+// utils/dates.js
+// Date formatting shared by the data snapshots' "as of" notes and cards.
+
+/**
+ * Formats an ISO date (YYYY-MM-DD) in British style, e.g. "1 October 2026".
+ * The date is read as local midnight so it never shifts by a day.
+ * @param {string} isoDate - ISO date.
+ * @param {"long"|"short"} [month="long"] - Month style; "short" gives "1 Oct 2026".
+ * @returns {string}
+ */
+export const formatIsoDate = (isoDate, month = "long") =>
+  new Date(`${isoDate}T00:00:00`).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month,
+    year: "numeric",
+  });
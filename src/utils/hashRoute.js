@@ -0,0 +1,59 @@
+// utils/hashRoute.js
+// Helpers for the hash-based deep links used across the site, e.g.
+// `#publications?coauthor=Moriarty`: the first path segment is the section id,
+// further segments address content inside it and the query holds view state.
+
+// Custom event fired when the hash is changed through `navigateHash`, because
+// history.pushState/replaceState do not emit `hashchange`.
+export const HASH_ROUTE_EVENT = "hashroutechange";
+
+/**
+ * Parses a location hash into its section, sub-path and query parameters.
+ * @param {string} [hash=window.location.hash] - Hash including or excluding the leading '#'.
+ * @returns {{ section: string, segments: string[], params: URLSearchParams }}
+ */
+export const parseHash = (hash = window.location.hash) => {
+  const raw = hash.replace(/^#/, "");
+  const queryIndex = raw.indexOf("?");
+  const path = queryIndex === -1 ? raw : raw.slice(0, queryIndex);
+  const query = queryIndex === -1 ? "" : raw.slice(queryIndex + 1);
+  const [section = "", ...segments] = path
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment));
+  return { section, segments, params: new URLSearchParams(query) };
+};
+
+/**
+ * Builds a hash string from a section, optional sub-path and parameters.
+ * Empty parameter values are dropped so default state keeps URLs short.
+ * @param {string} section - Section id.
+ * @param {(string|number)[]} [segments=[]] - Additional path segments.
+ * @param {Object<string, string|number>|URLSearchParams} [params={}] - Query parameters.
+ * @returns {string} Hash including the leading '#'.
+ */
+export const buildHash = (section, segments = [], params = {}) => {
+  const entries = params instanceof URLSearchParams ? [...params] : Object.entries(params);
+  const query = new URLSearchParams(
+    entries.filter(([, value]) => value !== undefined && value !== null && value !== ""),
+  ).toString();
+  const path = [section, ...segments.map((segment) => encodeURIComponent(segment))].join("/");
+  return `#${path}${query ? `?${query}` : ""}`;
+};
+
+/**
+ * Updates the location hash without triggering the browser's jump-to-anchor.
+ * @param {string} hash - New hash, including the leading '#'.
+ * @param {object} [options] - Navigation options.
+ * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing one.
+ */
+export const navigateHash = (hash, { replace = false } = {}) => {
+  if (hash === window.location.hash) return;
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (replace) {
+    window.history.replaceState(window.history.state, "", url);
+  } else {
+    window.history.pushState(null, "", url);
+  }
+  window.dispatchEvent(new Event(HASH_ROUTE_EVENT));
+};
@@ -0,0 +1,184 @@
+// utils/highlight.js
+// Small regex tokenisers for the code samples on the site (shell, Python,
+// JSON, YAML). They only classify tokens for colouring; anything they do not
+// recognise is left as plain text.
+
+/**
+ * @typedef {"plain"|"comment"|"string"|"number"|"keyword"|"constant"|"function"|"variable"|"flag"|"key"|"operator"|"prompt"} TokenType
+ */
+
+/** @typedef {{ type: TokenType, text: string }} Token */
+
+/**
+ * @typedef {object} Rule
+ * @property {TokenType} type - Type of the matched text.
+ * @property {RegExp} pattern - Sticky pattern, tried at the current position.
+ * @property {boolean} [lineStart] - Only match when nothing but indentation
+ * (and YAML list dashes) precedes it on the line.
+ */
+
+const PYTHON_KEYWORDS =
+  "and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield";
+const PYTHON_BUILTINS =
+  "abs|all|any|dict|enumerate|float|int|isinstance|len|list|max|min|open|print|range|round|set|sorted|str|sum|super|tuple|type|zip";
+const SHELL_KEYWORDS = "if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|export|local|return|source";
+// Keywords followed by a command, e.g. `then make`.
+const COMMAND_KEYWORDS = ["if", "then", "else", "elif", "while", "until", "do"];
+// Characters that end an unquoted shell word.
+const SHELL_WORD = `[^\\s"'\`$;|&<>()]`;
+
+const rule = (type, source, options = {}) => ({ type, pattern: new RegExp(source, `y${options.flags ?? ""}`), ...options });
+
+/** @type {Object<string, Rule[]>} */
+const LANGUAGES = {
+  bash: [
+    rule("prompt", "[$>] (?=\\S)", { lineStart: true }),
+    rule("comment", "#[^\\n]*"),
+    rule("string", `"(?:[^"\\\\]|\\\\.)*"?|'[^']*'?`),
+    rule("variable", "\\$\\{[^}\\n]*\\}|\\$[A-Za-z_]\\w*|\\$[0-9@#?*$!-]"),
+    rule("flag", `--?[A-Za-z0-9]${SHELL_WORD}*`),
+    rule("operator", "&&|\\|\\||[|;&<>]+|\\\\(?=\\n)"),
+    rule("number", `\\d+(?:\\.\\d+)?(?!${SHELL_WORD})`),
+    rule("keyword", `(?:${SHELL_KEYWORDS})(?!${SHELL_WORD})`),
+    rule("plain", `${SHELL_WORD}[^\\s"'\`$;|&<>()]*`),
+  ],
+  python: [
+    rule("comment", "#[^\\n]*"),
+    rule("string", `[rRbBuUfF]{0,2}(?:"""[\\s\\S]*?(?:"""|$)|'''[\\s\\S]*?(?:'''|$))`),
+    rule("string", `[rRbBuUfF]{0,2}(?:"(?:[^"\\\\\\n]|\\\\.)*"?|'(?:[^'\\\\\\n]|\\\\.)*'?)`),
+    rule("function", "@[\\w.]+"),
+    rule("number", "(?:0[xob][\\da-f_]+|\\d[\\d_]*(?:\\.\\d*)?(?:e[+-]?\\d+)?j?|\\.\\d+)\\b", { flags: "i" }),
+    rule("constant", "(?:True|False|None)\\b"),
+    rule("keyword", `(?:${PYTHON_KEYWORDS})\\b`),
+    rule("function", `(?:${PYTHON_BUILTINS})(?=\\()`),
+    rule("plain", "[A-Za-z_]\\w*"),
+    rule("operator", "[-+*/%=<>!&|^~@:]+"),
+  ],
+  json: [
+    rule("key", `"(?:[^"\\\\]|\\\\.)*"(?=\\s*:)`),
+    rule("string", `"(?:[^"\\\\]|\\\\.)*"?`),
+    rule("number", "-?\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?"),
+    rule("constant", "(?:true|false|null)\\b"),
+  ],
+  yaml: [
+    rule("comment", "#[^\\n]*"),
+    rule("operator", "---|\\.\\.\\.", { lineStart: true }),
+    rule("key", `(?:"[^"\\n]*"|'[^'\\n]*'|[^\\s#'"\\-?:,[\\]{}][^\\n:#]*?)(?=:(?:\\s|$))`, { lineStart: true }),
+    rule("string", `"(?:[^"\\\\\\n]|\\\\.)*"?|'[^'\\n]*'?`),
+    rule("variable", "[&*][\\w-]+"),
+    rule("keyword", "![\\w!/-]*"),
+    rule("constant", "(?:true|false|null|yes|no|on|off|~)(?=\\s*(?:$|#|,|\\]|\\}))", { flags: "im" }),
+    rule("number", "[-+]?(?:\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?|\\.inf|\\.nan)(?=\\s*(?:$|#|,|\\]|\\}))", { flags: "im" }),
+    rule("operator", "[-:|>?,[\\]{}]"),
+    rule("plain", "[^\\s#:,[\\]{}]+"),
+  ],
+};
+
+// Other names accepted for the `language` prop.
+const ALIASES = { sh: "bash", shell: "bash", zsh: "bash", console: "bash", py: "python", yml: "yaml" };
+
+/**
+ * Canonical name of a supported language.
+ * @param {string} [language] - Language name or alias, e.g. "sh".
+ * @returns {string | undefined} Undefined when it has no tokeniser.
+ */
+export const resolveLanguage = (language) => {
+  const name = language?.toLowerCase();
+  const resolved = ALIASES[name] ?? name;
+  return LANGUAGES[resolved] ? resolved : undefined;
+};
+
+/**
+ * Whether a rule with `lineStart` may match at this position.
+ * @param {string} code - Whole source.
+ * @param {number} index - Position in the source.
+ * @returns {boolean}
+ */
+const isAtLineStart = (code, index) => /^[\t -]*$/.test(code.slice(code.lastIndexOf("\n", index - 1) + 1, index));
+
+// In shell code the first word of each command is the program being run.
+const markCommands = (tokens) => {
+  let expectCommand = true;
+  tokens.forEach((token, index) => {
+    if (!/\S/.test(token.text)) {
+      // A new line starts a new command, unless the previous one continues with "\".
+      if (token.text.includes("\n") && tokens[index - 1]?.text !== "\\") expectCommand = true;
+    } else if (token.type === "plain") {
+      if (expectCommand && !token.text.includes("=")) token.type = "function";
+      expectCommand = false;
+    } else if (token.type === "operator") {
+      // After a pipe or separator comes a command; after a redirect, a file name.
+      if (token.text !== "\\") expectCommand = !/[<>]/.test(token.text);
+    } else {
+      expectCommand = token.type === "prompt" || (token.type === "keyword" && COMMAND_KEYWORDS.includes(token.text));
+    }
+  });
+  return tokens;
+};
+
+// In Python the name after `def` or `class` is a definition.
+const markDefinitions = (tokens) => {
+  tokens.forEach((token, index) => {
+    if (token.type !== "keyword" || !["def", "class"].includes(token.text)) return;
+    const name = tokens.slice(index + 1).find(({ text }) => /\S/.test(text));
+    if (name?.type === "plain") name.type = "function";
+  });
+  return tokens;
+};
+
+/**
+ * Splits source code into coloured tokens, line by line.
+ * @param {string} code - Source code.
+ * @param {string} [language] - Language name or alias; plain text when unsupported.
+ * @returns {Token[][]} One token list per line.
+ */
+export const highlight = (code, language) => {
+  const resolved = resolveLanguage(language);
+  // Without a tokeniser each line is a single plain token.
+  if (!resolved) return code.split("\n").map((line) => (line ? [{ type: "plain", text: line }] : []));
+
+  const rules = LANGUAGES[resolved];
+  let tokens = [];
+
+  let index = 0;
+  while (index < code.length) {
+    let match;
+    for (const { type, pattern, lineStart } of rules) {
+      if (lineStart && !isAtLineStart(code, index)) continue;
+      pattern.lastIndex = index;
+      const text = pattern.exec(code)?.[0];
+      if (text) {
+        match = { type, text };
+        break;
+      }
+    }
+    if (match) {
+      tokens.push(match);
+      index += match.text.length;
+      continue;
+    }
+    // Unrecognised characters stay plain; runs of whitespace are kept together.
+    const last = tokens[tokens.length - 1];
+    if (last?.type === "plain" && !/\S/.test(last.text + code[index])) last.text += code[index];
+    else tokens.push({ type: "plain", text: code[index] });
+    index++;
+  }
+
+  if (resolved === "bash") tokens = markCommands(tokens);
+  if (resolved === "python") tokens = markDefinitions(tokens);
+
+  // Split tokens that span lines (comments, multi-line strings, newlines),
+  // merging neighbours of the same type so each run renders as one span.
+  const lines = [[]];
+  for (const token of tokens) {
+    token.text.split("\n").forEach((part, partIndex) => {
+      if (partIndex > 0) lines.push([]);
+      if (!part) return;
+      const line = lines[lines.length - 1];
+      const last = line[line.length - 1];
+      if (last?.type === token.type) last.text += part;
+      else line.push({ type: token.type, text: part });
+    });
+  }
+  return lines;
+};
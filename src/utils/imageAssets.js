@@ -0,0 +1,60 @@
+// utils/imageAssets.js
+// Manifest of the images, videos and terminal recordings in src/assets, built
+// at compile time. Only URLs and sizes are bundled; the files themselves are
+// downloaded when they are about to be shown. Image names used in src/data
+// are checked against this folder during the build (see
+// plugins/imageReferencesPlugin.js).
+
+/**
+ * @typedef {object} ImageAsset
+ * @property {string} src - Largest fallback (JPEG/PNG) variant.
+ * @property {string} srcset - Fallback variants.
+ * @property {{ type: string, srcset: string }[]} sources - AVIF and WebP variants.
+ * @property {string} placeholder - Tiny blurred preview as a data URI.
+ * @property {number} width - Width of the original, in pixels.
+ * @property {number} height - Height of the original, in pixels.
+ * @property {number} aspectRatio - Width divided by height.
+ * @property {string} original - URL of the original, full-resolution PNG.
+ */
+
+// Responsive variants (see plugins/responsiveImagesPlugin.js) and originals.
+const responsiveImages = import.meta.glob("../assets/*.png", { query: "?responsive", import: "default", eager: true });
+const originalUrls = import.meta.glob("../assets/*.png", { query: "?url", import: "default", eager: true });
+
+/** @type {Object<string, ImageAsset>} */
+const images = Object.fromEntries(
+  Object.entries(responsiveImages).map(([path, image]) => [
+    path.slice("../assets/".length, -".png".length),
+    { ...image, original: originalUrls[path] },
+  ]),
+);
+
+/**
+ * Returns an image from the manifest.
+ * @param {string} imageName - Image name in src/assets (without extension).
+ * @returns {ImageAsset | undefined} Undefined for unknown names.
+ */
+export const getImage = (imageName) => images[imageName];
+
+// URLs of looping videos in src/assets.
+const videoUrls = import.meta.glob("../assets/*.{webm,mp4}", { query: "?url", import: "default", eager: true });
+
+/**
+ * Returns the <source> list of a video, WebM first.
+ * @param {string} videoName - Video name in src/assets (without extension).
+ * @returns {{ src: string, type: string }[]} Empty when no file exists.
+ */
+export const getVideoSources = (videoName) =>
+  ["webm", "mp4"]
+    .map((extension) => ({ src: videoUrls[`../assets/${videoName}.${extension}`], type: `video/${extension}` }))
+    .filter(({ src }) => src);
+
+// URLs of asciinema recordings in src/assets.
+const castUrls = import.meta.glob("../assets/*.cast", { query: "?url", import: "default", eager: true });
+
+/**
+ * Returns the URL of an asciinema recording.
+ * @param {string} castName - Recording name in src/assets (without extension).
+ * @returns {string | undefined} Undefined when no file exists.
+ */
+export const getCastUrl = (castName) => castUrls[`../assets/${castName}.cast`];
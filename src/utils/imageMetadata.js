@@ -0,0 +1,56 @@
+// utils/imageMetadata.js
+// Optional render metadata stored as a JSON sidecar next to an image, e.g.
+// src/assets/blenderB3.json for blenderB3.png.
+
+/**
+ * @typedef {object} ImageMetadata
+ * @property {string} [renderEngine] - e.g. "Cycles" or "EEVEE".
+ * @property {number} [samples] - Render samples per pixel.
+ * @property {{ width: number, height: number }} [resolution] - Output resolution in pixels.
+ * @property {number} [renderTime] - Render time in seconds.
+ * @property {string} [blenderVersion] - e.g. "4.2".
+ * @property {string[]} [addons] - Add-ons used for the scene.
+ * @property {string} [description] - Scene description.
+ * @property {{ name: string, url?: string }} [sourceData] - Scientific data the scene is based on.
+ */
+
+// Sidecars are small, so they are bundled up front.
+const sidecars = import.meta.glob("../assets/*.json", { import: "default", eager: true });
+
+/**
+ * Returns the sidecar metadata of an image.
+ * @param {string} imageName - Image name in src/assets (without extension).
+ * @returns {ImageMetadata | undefined} Undefined when the image has no sidecar.
+ */
+export const getImageMetadata = (imageName) => sidecars[`../assets/${imageName}.json`];
+
+/**
+ * Formats a render time as e.g. "2 h 5 min" or "45 s".
+ * @param {number} seconds - Render time in seconds.
+ * @returns {string}
+ */
+export const formatRenderTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return minutes > 0 ? `${hours} h ${minutes} min` : `${hours} h`;
+  if (minutes > 0) return `${minutes} min`;
+  return `${Math.round(seconds)} s`;
+};
+
+/**
+ * Technical render settings as label/value pairs, in display order.
+ * Fields missing from the sidecar are left out.
+ * @param {ImageMetadata} metadata - Sidecar metadata.
+ * @returns {{ label: string, value: string }[]}
+ */
+export const getRenderDetails = ({ renderEngine, samples, resolution, renderTime, blenderVersion, addons = [] }) =>
+  [
+    ["Render engine", renderEngine],
+    ["Samples", samples?.toLocaleString("en-GB")],
+    ["Resolution", resolution && `${resolution.width} × ${resolution.height} px`],
+    ["Render time", renderTime !== undefined ? formatRenderTime(renderTime) : undefined],
+    ["Blender version", blenderVersion],
+    ["Add-ons", addons.join(", ")],
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => ({ label, value }));
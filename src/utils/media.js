@@ -0,0 +1,123 @@
+// utils/media.js
+// Gallery entries of Blender projects. A plain string is an image name in
+// src/assets; objects describe other media types by their `type`.
+
+/**
+ * @typedef {object} ImageMedia
+ * @property {"image"} type
+ * @property {string} imageName - Image name in src/assets (without extension).
+ */
+
+/**
+ * @typedef {object} CompareMedia
+ * Two renders of the same scene behind a draggable divider, e.g. a raw scan
+ * against the final render.
+ * @property {"compare"} type
+ * @property {string} before - Image shown left of (or above) the divider.
+ * @property {string} after - Image shown right of (or below) the divider.
+ * @property {string} [beforeLabel="Before"] - Label of the before image.
+ * @property {string} [afterLabel="After"] - Label of the after image.
+ * @property {"horizontal" | "vertical"} [orientation="horizontal"] - Direction the divider moves in.
+ */
+
+/**
+ * @typedef {object} VideoMedia
+ * A looping animation, muted like a GIF.
+ * @property {"video"} type
+ * @property {string} video - Video name in src/assets (without extension); `.webm` and/or `.mp4`.
+ * @property {string} poster - Image name in src/assets shown before the video plays.
+ */
+
+/**
+ * @typedef {object} SequenceMedia
+ * Frames of a turntable, scrubbed by dragging.
+ * @property {"sequence"} type
+ * @property {string[]} frames - Image names in src/assets, in rotation order.
+ */
+
+/** @typedef {ImageMedia | CompareMedia | VideoMedia | SequenceMedia} Media */
+
+// Badge text for media that are not plain images.
+const MEDIA_LABELS = { compare: "Before/after", video: "Video", sequence: "Turntable" };
+
+/**
+ * Expands a gallery entry into a media object with its defaults filled in.
+ * @param {string | Media} entry - Image name or media object.
+ * @returns {Media}
+ */
+export const normalizeMedia = (entry) => {
+  if (typeof entry === "string") return { type: "image", imageName: entry };
+  switch (entry.type) {
+    case "image":
+    case "video":
+    case "sequence":
+      return entry;
+    case "compare":
+      return { beforeLabel: "Before", afterLabel: "After", orientation: "horizontal", ...entry };
+    default:
+      throw new Error(`Unknown gallery entry type: ${entry.type}`);
+  }
+};
+
+/**
+ * Stable key of a media object, e.g. for React lists and animations.
+ * @param {Media} media - Normalized media.
+ * @returns {string}
+ */
+export const getMediaKey = (media) => {
+  switch (media.type) {
+    case "compare":
+      return `${media.before}|${media.after}`;
+    case "video":
+      return media.video;
+    case "sequence":
+      return media.frames.join("|");
+    default:
+      return media.imageName;
+  }
+};
+
+/**
+ * The image representing a media object, used for its metadata sidecar and
+ * structured data: the finished ("after") render of a comparison, a video's
+ * poster or a sequence's first frame.
+ * @param {Media} media - Normalized media.
+ * @returns {string} Image name in src/assets.
+ */
+export const getPrimaryImage = (media) => {
+  switch (media.type) {
+    case "compare":
+      return media.after;
+    case "video":
+      return media.poster;
+    case "sequence":
+      return media.frames[0];
+    default:
+      return media.imageName;
+  }
+};
+
+/**
+ * Short label for media that are not plain images, e.g. for thumbnail badges.
+ * @param {Media} media - Normalized media.
+ * @returns {string | undefined}
+ */
+export const getMediaLabel = (media) => MEDIA_LABELS[media.type];
+
+/**
+ * Every image a media object shows, e.g. to check that they all exist.
+ * @param {Media} media - Normalized media.
+ * @returns {string[]} Image names in src/assets.
+ */
+export const getMediaImages = (media) => {
+  switch (media.type) {
+    case "compare":
+      return [media.before, media.after];
+    case "video":
+      return [media.poster];
+    case "sequence":
+      return media.frames;
+    default:
+      return [media.imageName];
+  }
+};
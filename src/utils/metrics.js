@@ -0,0 +1,42 @@
+// utils/metrics.js
+// Citation metrics derived from the checked-in snapshot in src/data/metrics.json
+// (refreshed with `npm run metrics:refresh`).
+import snapshot from "../data/metrics.json";
+
+/**
+ * Citation count of a publication in the snapshot.
+ * @param {object} pub - Publication data.
+ * @param {object} [metrics=snapshot] - Metrics snapshot.
+ * @returns {number | undefined} Undefined when the paper is not in the snapshot.
+ */
+export const getCitationCount = (pub, metrics = snapshot) => metrics.publications[pub.key]?.citations;
+
+/**
+ * h-index: the largest h such that h papers have at least h citations each.
+ * @param {number[]} counts - Citation counts.
+ * @returns {number}
+ */
+export const hIndex = (counts) =>
+  [...counts].sort((a, b) => b - a).filter((count, index) => count >= index + 1).length;
+
+/**
+ * Summary metrics for a set of publications.
+ * @param {object[]} publications - Publication data.
+ * @param {object} [metrics=snapshot] - Metrics snapshot.
+ * @returns {{ total: number, hIndex: number, i10Index: number, counted: number, source: string, asOf: string }}
+ * `counted` is the number of publications found in the snapshot.
+ */
+export const computeMetrics = (publications, metrics = snapshot) => {
+  const counts = publications
+    .map((pub) => getCitationCount(pub, metrics))
+    .filter((count) => typeof count === "number");
+
+  return {
+    total: counts.reduce((sum, count) => sum + count, 0),
+    hIndex: hIndex(counts),
+    i10Index: counts.filter((count) => count >= 10).length,
+    counted: counts.length,
+    source: metrics.source,
+    asOf: metrics.asOf,
+  };
+};
@@ -0,0 +1,129 @@
+// utils/publicationFilters.js
+// Search, filter and sort logic for the publications toolbar, plus the
+// conversion between filter state and URL hash parameters.
+import { getAuthors, normalize } from "./authors";
+
+/** Filter state with nothing applied. */
+export const DEFAULT_FILTERS = {
+  query: "",
+  yearFrom: "",
+  yearTo: "",
+  journal: "",
+  coauthor: "",
+  sort: "",
+};
+
+/** Sort options offered by the toolbar. The empty value keeps the curated order. */
+export const SORT_OPTIONS = [
+  { value: "", label: "Curated order" },
+  { value: "year-desc", label: "Newest first" },
+  { value: "year-asc", label: "Oldest first" },
+  { value: "title", label: "Title (A–Z)" },
+];
+
+// Maps filter keys to their (short) URL parameter names.
+const PARAM_NAMES = {
+  query: "q",
+  yearFrom: "from",
+  yearTo: "to",
+  journal: "journal",
+  coauthor: "coauthor",
+  sort: "sort",
+};
+
+/**
+ * Reads filter state from URL parameters, ignoring unknown keys.
+ * @param {URLSearchParams} params - Parameters from the location hash.
+ * @returns {typeof DEFAULT_FILTERS}
+ */
+export const filtersFromParams = (params) =>
+  Object.fromEntries(
+    Object.entries(PARAM_NAMES).map(([key, param]) => [key, params.get(param) ?? DEFAULT_FILTERS[key]]),
+  );
+
+/**
+ * Converts filter state to URL parameters; default values are omitted.
+ * @param {typeof DEFAULT_FILTERS} filters - Current filter state.
+ * @returns {Object<string, string>}
+ */
+export const filtersToParams = (filters) =>
+  Object.fromEntries(
+    Object.entries(PARAM_NAMES)
+      .filter(([key]) => filters[key] && filters[key] !== DEFAULT_FILTERS[key])
+      .map(([key, param]) => [param, filters[key]]),
+  );
+
+/**
+ * Whether any filter (other than sorting) is active.
+ * @param {typeof DEFAULT_FILTERS} filters - Current filter state.
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).some((key) => key !== "sort" && filters[key] !== DEFAULT_FILTERS[key]);
+
+/**
+ * Collects the values offered by the toolbar's select boxes.
+ * @param {object[]} publications - All publications.
+ * @returns {{ years: string[], journals: string[], coauthors: { value: string, label: string, count: number }[] }}
+ */
+export const getFilterOptions = (publications) => {
+  const years = [...new Set(publications.map((pub) => pub.year))].sort();
+  const journals = [...new Set(publications.map((pub) => pub.journal))].sort((a, b) => a.localeCompare(b));
+
+  // Co-authors keyed by family name; keep the most complete given name seen.
+  const coauthors = new Map();
+  publications.forEach((pub) => {
+    getAuthors(pub).forEach(({ name: label, family, isOwner }) => {
+      if (isOwner) return;
+      const existing = coauthors.get(family);
+      coauthors.set(family, {
+        value: family,
+        label: existing && existing.label.length >= label.length ? existing.label : label,
+        count: (existing?.count ?? 0) + 1,
+      });
+    });
+  });
+
+  return {
+    years,
+    journals,
+    coauthors: [...coauthors.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+  };
+};
+
+/**
+ * Applies search, filters and sorting.
+ * @param {object[]} publications - All publications, in curated order.
+ * @param {typeof DEFAULT_FILTERS} filters - Current filter state.
+ * @returns {object[]} Matching publications.
+ */
+export const filterPublications = (publications, filters) => {
+  const terms = normalize(filters.query).split(/\s+/).filter(Boolean);
+  const coauthor = normalize(filters.coauthor);
+
+  const matches = publications.filter((pub) => {
+    if (filters.yearFrom && pub.year < filters.yearFrom) return false;
+    if (filters.yearTo && pub.year > filters.yearTo) return false;
+    if (filters.journal && pub.journal !== filters.journal) return false;
+    // Match co-authors by family name so `coauthor=Moriarty` works in links.
+    if (coauthor && !getAuthors(pub).some(({ family }) => normalize(family).includes(coauthor))) {
+      return false;
+    }
+    if (terms.length) {
+      const haystack = normalize([pub.title, pub.authors, pub.journal, pub.note].join(" "));
+      return terms.every((term) => haystack.includes(term));
+    }
+    return true;
+  });
+
+  switch (filters.sort) {
+    case "year-desc":
+      return [...matches].sort((a, b) => b.year.localeCompare(a.year));
+    case "year-asc":
+      return [...matches].sort((a, b) => a.year.localeCompare(b.year));
+    case "title":
+      return [...matches].sort((a, b) => a.title.localeCompare(b.title));
+    default:
+      return matches;
+  }
+};
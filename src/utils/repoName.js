@@ -0,0 +1,10 @@
+// utils/repoName.js
+// Kept apart from utils/repos.js, which imports the JSON snapshot, so that
+// scripts/refresh-repos.js can use it under plain Node.
+
+/**
+ * "owner/name" of a GitHub repository URL.
+ * @param {string} [url] - Repository URL.
+ * @returns {string | undefined} Undefined for URLs outside GitHub.
+ */
+export const getRepoName = (url) => url?.match(/github\.com\/([^/]+\/[^/#?]+)/)?.[1].replace(/\.git$/, "");
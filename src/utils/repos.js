@@ -0,0 +1,50 @@
+// utils/repos.js
+// Repository statistics from the checked-in GitHub snapshot in
+// src/data/repos.json (refreshed with `npm run repos:refresh`).
+import snapshot from "../data/repos.json";
+import { getRepoName } from "./repoName";
+
+/**
+ * @typedef {object} RepoStats
+ * @property {number} stars - Stargazers.
+ * @property {number} forks - Forks.
+ * @property {Object<string, number>} languages - Bytes of code per language.
+ * @property {string | null} license - SPDX identifier, e.g. "MIT".
+ * @property {{ tag: string, date: string } | null} latestRelease - Latest published release.
+ * @property {string | null} lastCommit - ISO date of the last commit on the default branch.
+ */
+
+// Languages shown by name; the rest are grouped as "Other".
+const MAX_LANGUAGES = 3;
+
+/**
+ * Statistics of a repository in the snapshot.
+ * @param {string} [url] - Repository URL.
+ * @param {object} [repos=snapshot] - Repository snapshot.
+ * @returns {RepoStats | undefined} Undefined when the repository is not in the snapshot.
+ */
+export const getRepoStats = (url, repos = snapshot) => repos.repos[getRepoName(url)];
+
+/**
+ * Share of each language in a repository, largest first. Languages beyond
+ * the first few are grouped as "Other".
+ * @param {Object<string, number>} [languages] - Bytes of code per language.
+ * @returns {{ name: string, share: number }[]} Shares between 0 and 1.
+ */
+export const getLanguageShares = (languages = {}) => {
+  const entries = Object.entries(languages).sort(([, a], [, b]) => b - a);
+  const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+  if (total === 0) return [];
+
+  const shares = entries.slice(0, MAX_LANGUAGES).map(([name, bytes]) => ({ name, share: bytes / total }));
+  const other = entries.slice(MAX_LANGUAGES).reduce((sum, [, bytes]) => sum + bytes, 0);
+  if (other > 0) shares.push({ name: "Other", share: other / total });
+  return shares;
+};
+
+/**
+ * Source and date of the snapshot.
+ * @param {object} [repos=snapshot] - Repository snapshot.
+ * @returns {{ source: string | null, asOf: string | null }} Both null until the first refresh.
+ */
+export const getSnapshotInfo = (repos = snapshot) => ({ source: repos.source, asOf: repos.asOf });
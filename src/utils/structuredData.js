@@ -0,0 +1,127 @@
+// utils/structuredData.js
+// Builders for schema.org JSON-LD and Highwire Press (`citation_*`) meta tags,
+// which Google Scholar-style crawlers use to index publications.
+import { getAuthors } from "./authors";
+import { splitPages } from "./citations";
+import { getRenderDetails } from "./imageMetadata";
+
+export const SITE_URL = "https://filipej.dev";
+
+/** `@id` of the site owner's Person node, referenced by other nodes. */
+export const PERSON_ID = `${SITE_URL}/#person`;
+
+/**
+ * Builds a ScholarlyArticle JSON-LD node for a publication.
+ * The site owner is referenced by `@id` so crawlers link the article to the Person node.
+ * @param {object} pub - Publication data.
+ * @returns {object}
+ */
+export const buildScholarlyArticle = (pub) => {
+  const periodical = { "@type": "Periodical", name: pub.journal };
+  const [pageStart, pageEnd] = splitPages(pub.pages);
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "ScholarlyArticle",
+    "@id": `${SITE_URL}/#publication-${pub.key}`,
+    headline: pub.title,
+    name: pub.title,
+    author: getAuthors(pub).map((author) =>
+      author.isOwner
+        ? { "@id": PERSON_ID }
+        : {
+            "@type": "Person",
+            name: author.name,
+            givenName: author.given || undefined,
+            familyName: author.family,
+          },
+    ),
+    datePublished: pub.year,
+    // Volume (when known) sits between the article and its periodical.
+    isPartOf: pub.volume
+      ? { "@type": "PublicationVolume", volumeNumber: pub.volume, isPartOf: periodical }
+      : periodical,
+    publisher: pub.publisher ? { "@type": "Organization", name: pub.publisher } : undefined,
+    pageStart: pageStart || undefined,
+    pageEnd: pageEnd || undefined,
+    abstract: pub.abstract,
+    description: pub.note,
+    // Detail views are hash routes, which crawlers fold into the home page,
+    // so the article's own URL is its DOI (or the BibTeX `url`).
+    url: pub.link,
+    ...(pub.doi && {
+      sameAs: `https://doi.org/${pub.doi}`,
+      identifier: { "@type": "PropertyValue", propertyID: "DOI", value: pub.doi },
+    }),
+  };
+};
+
+/**
+ * Builds Highwire Press meta tags for a publication detail view.
+ * @param {object} pub - Publication data.
+ * @returns {{ name: string, content: string }[]} Tags in the recommended order.
+ */
+export const buildHighwireMeta = (pub) => {
+  const [firstPage, lastPage] = splitPages(pub.pages);
+  return [
+    ["citation_title", pub.title],
+    ...getAuthors(pub).map((author) => [
+      "citation_author",
+      author.given ? `${author.family}, ${author.given}` : author.family,
+    ]),
+    ["citation_publication_date", pub.year],
+    ["citation_journal_title", pub.journal],
+    ["citation_publisher", pub.publisher],
+    ["citation_volume", pub.volume],
+    ["citation_issue", pub.number],
+    ["citation_firstpage", firstPage],
+    ["citation_lastpage", lastPage],
+    ["citation_doi", pub.doi],
+    ["citation_abstract", pub.abstract],
+  ]
+    .filter(([, content]) => content)
+    .map(([name, content]) => ({ name, content }));
+};
+
+/**
+ * `@id` of a render's VisualArtwork node. Like the ScholarlyArticle ids it
+ * names a node on the home page, not a separate page.
+ * @param {string} slug - Project slug.
+ * @param {number} index - Position of the render in the project.
+ * @returns {string}
+ */
+export const artworkId = (slug, index) => `${SITE_URL}/#artwork-${slug}-${index}`;
+
+/**
+ * Builds a VisualArtwork JSON-LD node for a render, including the details
+ * from its metadata sidecar (see utils/imageMetadata.js) when there is one.
+ * @param {object} artwork - Artwork data.
+ * @param {string} artwork.name - Artwork name.
+ * @param {string} artwork.id - Node identifier (`@id`), e.g. from artworkId().
+ * @param {string} artwork.contentUrl - Absolute URL of the image file.
+ * @param {string} [artwork.description] - Used when the sidecar has no description.
+ * @param {import("./imageMetadata").ImageMetadata} [artwork.metadata] - Sidecar metadata.
+ * @returns {object}
+ */
+export const buildVisualArtwork = ({ name, id, contentUrl, description, metadata = {} }) => {
+  const details = getRenderDetails(metadata);
+  const { sourceData } = metadata;
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "VisualArtwork",
+    "@id": id,
+    name,
+    // Gallery deep links are hash routes, which crawlers fold into the home
+    // page, so the artwork's URL is its image file.
+    url: contentUrl,
+    description: metadata.description ?? description,
+    creator: { "@id": PERSON_ID },
+    artMedium: "Digital 3D render",
+    image: { "@type": "ImageObject", contentUrl, encodingFormat: "image/png" },
+    isBasedOn: sourceData ? { "@type": "Dataset", name: sourceData.name, url: sourceData.url } : undefined,
+    additionalProperty: details.length
+      ? details.map(({ label, value }) => ({ "@type": "PropertyValue", name: label, value }))
+      : undefined,
+  };
+};
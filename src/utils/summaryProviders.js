@@ -0,0 +1,201 @@
+// utils/summaryProviders.js
+// Providers behind the "Explain this paper" button. Each provider turns a
+// publication into a short plain-language summary. The provider is chosen at
+// build time with VITE_SUMMARY_PROVIDER; without one, only pre-generated
+// summaries from src/data/publicationDetails.js are offered.
+import publicationDetails from "../data/publicationDetails";
+
+/** Error raised when a summary cannot be produced. */
+export class SummaryError extends Error {
+  /**
+   * @param {string} message - User-facing error message.
+   * @param {{ cause?: unknown }} [options]
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = "SummaryError";
+  }
+}
+
+/**
+ * Builds the prompt sent to language-model providers.
+ * @param {object} pub - Publication data.
+ * @returns {string}
+ */
+export const buildSummaryPrompt = (pub) =>
+  [
+    "Explain the following research paper to a curious non-specialist in three or four sentences.",
+    "Say what question it addresses, how, and why the result matters. Do not invent findings.",
+    "",
+    `Title: ${pub.title}`,
+    `Authors: ${pub.authors}`,
+    `Published in: ${pub.journal} (${pub.year})`,
+    pub.abstract && `Abstract: ${pub.abstract}`,
+    pub.note && `Note: ${pub.note}`,
+  ]
+    .filter((line) => line !== undefined)
+    .join("\n");
+
+// Posts JSON and returns the parsed response, mapping failures to SummaryError.
+const postJson = async (url, body, { headers = {}, signal } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw new SummaryError("Could not reach the summary service.", { cause: error });
+  }
+  if (!response.ok) {
+    throw new SummaryError(`The summary service responded with ${response.status}.`);
+  }
+  return response.json();
+};
+
+// Rejects empty model output instead of showing a blank summary.
+const requireText = (text) => {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new SummaryError("The summary service returned an empty response.");
+  }
+  return text.trim();
+};
+
+/**
+ * Pre-generated summary of a publication, if it has one.
+ * @param {object} pub - Publication data.
+ * @returns {string | undefined}
+ */
+export const staticSummary = (pub) => publicationDetails[pub.key]?.summary;
+
+/**
+ * Pre-generated summaries stored in publicationDetails.js.
+ * @returns {object}
+ */
+const createStaticProvider = () => ({
+  id: "static",
+  canSummarize: (pub) => Boolean(staticSummary(pub)),
+  summarize: async (pub) => requireText(staticSummary(pub)),
+});
+
+// Default endpoints (keep in sync with plugins/summaryProviderPlugin.js, which
+// adds the endpoint in use to the Content Security Policy).
+const DEFAULT_ENDPOINTS = {
+  openai: "https://api.openai.com/v1",
+  ollama: "http://localhost:11434",
+};
+
+/**
+ * Any endpoint implementing the OpenAI chat completions API.
+ * @param {{ endpoint?: string, model?: string, apiKey?: string }} options
+ * @returns {object}
+ */
+const createOpenAIProvider = ({ endpoint = DEFAULT_ENDPOINTS.openai, model = "gpt-4o-mini", apiKey }) => ({
+  id: "openai",
+  canSummarize: () => true,
+  summarize: async (pub, { signal } = {}) => {
+    const data = await postJson(
+      `${endpoint.replace(/\/$/, "")}/chat/completions`,
+      {
+        model,
+        messages: [
+          { role: "system", content: "You write concise, accurate summaries of scientific papers." },
+          { role: "user", content: buildSummaryPrompt(pub) },
+        ],
+        temperature: 0.3,
+      },
+      { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, signal },
+    );
+    return requireText(data.choices?.[0]?.message?.content);
+  },
+});
+
+/**
+ * A local Ollama (or compatible) server.
+ * @param {{ endpoint?: string, model?: string }} options
+ * @returns {object}
+ */
+const createOllamaProvider = ({ endpoint = DEFAULT_ENDPOINTS.ollama, model = "llama3.2" }) => ({
+  id: "ollama",
+  canSummarize: () => true,
+  summarize: async (pub, { signal } = {}) => {
+    const data = await postJson(
+      `${endpoint.replace(/\/$/, "")}/api/generate`,
+      { model, prompt: buildSummaryPrompt(pub), stream: false },
+      { signal },
+    );
+    return requireText(data.response);
+  },
+});
+
+/**
+ * Offline provider for development and testing. Answers after a short delay;
+ * with `fail` set, the first request for each publication fails so the retry
+ * path can be exercised.
+ * @param {{ delay?: number, fail?: boolean }} options
+ * @returns {object}
+ */
+const createMockProvider = ({ delay = 800, fail = false }) => {
+  const attempted = new Set();
+  return {
+    id: "mock",
+    canSummarize: () => true,
+    summarize: (pub, { signal } = {}) =>
+      new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          if (fail && !attempted.has(pub.key)) {
+            attempted.add(pub.key);
+            reject(new SummaryError("Mock provider failure (retry to succeed)."));
+            return;
+          }
+          resolve(
+            `Mock summary of "${pub.title}" (${pub.journal}, ${pub.year}). ` +
+              "This placeholder text comes from the mock summary provider.",
+          );
+        }, delay);
+        signal?.addEventListener("abort", () => {
+          clearTimeout(timer);
+          reject(new DOMException("Aborted", "AbortError"));
+        });
+      }),
+  };
+};
+
+// Pre-generated summaries take precedence over live providers, saving a request.
+const preferStatic = (provider) => ({
+  ...provider,
+  summarize: (pub, options) =>
+    staticSummary(pub) ? Promise.resolve(staticSummary(pub)) : provider.summarize(pub, options),
+});
+
+/**
+ * Creates the summary provider described by the environment.
+ * @param {Object<string, string>} [env=import.meta.env] - Vite environment variables.
+ * @returns {object} Provider with `id`, `canSummarize(pub)` and `summarize(pub, { signal })`.
+ * @throws {SummaryError} When VITE_SUMMARY_PROVIDER names an unknown provider.
+ */
+export const createSummaryProvider = (env = import.meta.env) => {
+  const options = {
+    endpoint: env.VITE_SUMMARY_ENDPOINT || undefined,
+    model: env.VITE_SUMMARY_MODEL || undefined,
+  };
+
+  switch (env.VITE_SUMMARY_PROVIDER || "static") {
+    case "static":
+      return createStaticProvider();
+    case "openai":
+      return preferStatic(createOpenAIProvider({ ...options, apiKey: env.VITE_SUMMARY_API_KEY }));
+    case "ollama":
+      return preferStatic(createOllamaProvider(options));
+    case "mock":
+      return createMockProvider({
+        delay: Number(env.VITE_SUMMARY_MOCK_DELAY) || undefined,
+        fail: env.VITE_SUMMARY_MOCK_FAIL === "true",
+      });
+    default:
+      throw new SummaryError(`Unknown summary provider "${env.VITE_SUMMARY_PROVIDER}".`);
+  }
+};
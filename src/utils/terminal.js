@@ -0,0 +1,173 @@
+// utils/terminal.js
+// Command interpreter behind TerminalEmulator: parses what the visitor typed,
+// completes subcommands and flags, and looks up the scripted output of a
+// tool's demo (see src/data/cliTools.js). Nothing is actually executed.
+
+/**
+ * @typedef {object} TerminalLine
+ * @property {string} text - Line of output; colours come from ANSI codes or
+ * `{dim}`/`{ok}`/`{err}` markup (see utils/terminalText.js).
+ * @property {number} [delay=0] - Pause before the line appears, in milliseconds.
+ */
+
+/**
+ * Scripted output: lines with their own delays, or a block of text pasted
+ * from a real terminal, printed one line at a time.
+ * @typedef {TerminalLine[] | string} TerminalOutput
+ */
+
+/**
+ * @typedef {object} TerminalSubcommand
+ * @property {string} summary - One-line description for `help`.
+ * @property {string[]} [flags] - Accepted flags, e.g. "--file".
+ * @property {TerminalOutput} output - Scripted output.
+ */
+
+/**
+ * @typedef {object} TerminalSpec
+ * @property {string} program - Name of the tool's executable.
+ * @property {Object<string, TerminalSubcommand>} [subcommands] - Subcommands by name.
+ * @property {string[]} [flags] - Flags of a tool without subcommands.
+ * @property {TerminalOutput} [output] - Output of a tool without subcommands.
+ * @property {string[]} demo - Commands of the canonical demo, in order.
+ */
+
+// Pause before each line of pasted output, in milliseconds.
+const PASTED_LINE_DELAY = 150;
+
+// Commands understood by every terminal, with their `help` text.
+const BUILTINS = {
+  help: "Show this help",
+  clear: "Clear the screen",
+  history: "List previous commands",
+};
+
+/**
+ * Splits a command line into words, honouring single and double quotes.
+ * @param {string} input - Command line.
+ * @returns {string[]}
+ */
+export const tokenize = (input) =>
+  [...input.matchAll(/"([^"]*)"?|'([^']*)'?|(\S+)/g)].map(([, double, single, bare]) => double ?? single ?? bare);
+
+/**
+ * Words that may follow the given ones, for tab completion.
+ * @param {TerminalSpec} spec - Tool definition.
+ * @param {string[]} words - Complete words typed so far.
+ * @returns {string[]}
+ */
+const candidatesAfter = (spec, words) => {
+  if (words.length === 0) return [spec.program, ...Object.keys(BUILTINS)];
+  if (words[0] !== spec.program) return [];
+  if (!spec.subcommands) return spec.flags ?? [];
+  if (words.length === 1) return Object.keys(spec.subcommands);
+  return spec.subcommands[words[1]]?.flags ?? [];
+};
+
+/**
+ * Completes the last word of a command line.
+ * @param {TerminalSpec} spec - Tool definition.
+ * @param {string} input - Command line.
+ * @returns {{ input: string, candidates: string[] }} The completed line, and
+ * every match when the word is ambiguous (to list, like a shell does).
+ */
+export const complete = (spec, input) => {
+  const words = input.split(/\s+/);
+  const partial = words.pop();
+  const typed = words.filter(Boolean);
+  // Flags already given are not offered again.
+  const matches = candidatesAfter(spec, typed).filter((word) => word.startsWith(partial) && !typed.includes(word));
+  if (matches.length === 0) return { input, candidates: [] };
+
+  // Extend to the longest prefix shared by all matches.
+  let prefix = matches[0];
+  for (const match of matches) {
+    while (!match.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  }
+  const head = input.slice(0, input.length - partial.length);
+  if (matches.length === 1) return { input: `${head}${prefix} `, candidates: [] };
+  return { input: `${head}${prefix}`, candidates: matches };
+};
+
+/**
+ * Expands pasted output into lines.
+ * @param {TerminalOutput} output - Scripted output.
+ * @returns {TerminalLine[]}
+ */
+const toLines = (output) =>
+  typeof output === "string" ? output.split("\n").map((text) => ({ text, delay: PASTED_LINE_DELAY })) : output;
+
+/**
+ * Text of the `help` command.
+ * @param {TerminalSpec} spec - Tool definition.
+ * @returns {TerminalLine[]}
+ */
+const helpLines = (spec) => {
+  const commands = spec.subcommands
+    ? Object.entries(spec.subcommands).map(([name, { summary }]) => [`${spec.program} ${name}`, summary])
+    : [[spec.program, `Flags: ${(spec.flags ?? []).join(" ")}`]];
+  const rows = [...commands, ...Object.entries(BUILTINS)];
+  const width = Math.max(...rows.map(([name]) => name.length)) + 2;
+  return [
+    { text: "Available commands:" },
+    ...rows.map(([name, summary]) => ({ text: `  {cmd}${name.padEnd(width)}{/}{dim}${summary}{/}` })),
+    { text: "{dim}Tab completes commands and flags; ↑/↓ browse history.{/}" },
+  ];
+};
+
+const usageLines = (spec) => [
+  { text: `{err}usage: ${spec.program} <command> [options]{/}` },
+  { text: `{err}Commands: ${Object.keys(spec.subcommands).join(", ")}{/}` },
+];
+
+/**
+ * Runs a command line against a tool definition.
+ * @param {TerminalSpec} spec - Tool definition.
+ * @param {string} input - Command line.
+ * @param {string[]} history - Previously entered commands, oldest first.
+ * @returns {{ lines: TerminalLine[], clear?: boolean }} Output to print, or
+ * `clear` when the screen should be wiped.
+ */
+export const runCommand = (spec, input, history) => {
+  const [name, ...args] = tokenize(input);
+  if (!name) return { lines: [] };
+
+  switch (name) {
+    case "help":
+      return { lines: helpLines(spec) };
+    case "clear":
+      return { lines: [], clear: true };
+    case "history":
+      return { lines: history.map((command, index) => ({ text: `${String(index + 1).padStart(4)}  ${command}` })) };
+    case spec.program:
+      break;
+    default:
+      return { lines: [{ text: `{err}bash: ${name}: command not found{/}` }] };
+  }
+
+  let command = spec;
+  let flagArgs = args;
+  let commandName = spec.program;
+  if (spec.subcommands) {
+    const [subcommand, ...rest] = args;
+    if (!subcommand || subcommand === "--help") return { lines: usageLines(spec) };
+    command = spec.subcommands[subcommand];
+    if (!command) {
+      return {
+        lines: [{ text: `{err}${spec.program}: '${subcommand}' is not a ${spec.program} command. See 'help'.{/}` }],
+      };
+    }
+    flagArgs = rest;
+    commandName = `${spec.program} ${subcommand}`;
+  }
+
+  // Flags may be written as --flag value or --flag=value.
+  const unknownFlag = flagArgs
+    .filter((arg) => arg.startsWith("-"))
+    .map((arg) => arg.split("=")[0])
+    .find((flag) => !(command.flags ?? []).includes(flag));
+  if (unknownFlag) {
+    return { lines: [{ text: `{err}${commandName}: error: unrecognized arguments: ${unknownFlag}{/}` }] };
+  }
+  return { lines: toLines(command.output) };
+};
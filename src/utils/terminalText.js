@@ -0,0 +1,35 @@
+// utils/terminalText.js
+// Terminal output stored as plain text: either pasted from a real terminal
+// with its ANSI colour codes, or written with a small markup where `{cmd}`,
+// `{ok}`, `{dim}` etc. set the colour and `{/}` resets it, e.g.
+// "Submitting job to SLURM ID: {ok}12345{/}". TerminalText.jsx renders it
+// with the site's theme colours.
+import { createScreen, toSpans } from "./ansi";
+
+// Markup tags: prompt, command name, options, secondary output, success,
+// warnings and errors.
+const TONES = ["prompt", "cmd", "flag", "dim", "ok", "warn", "err"];
+
+const MARKUP = new RegExp(`\\{(/|${TONES.join("|")})\\}`, "g");
+
+/**
+ * Parses terminal text into styled lines.
+ * Carriage returns and erase codes behave as in a terminal, so pasted
+ * progress bars collapse to their final state.
+ * @param {string} text - Text with ANSI escape codes and/or tone markup.
+ * @returns {import("./ansi").Span[][]} One span list per line.
+ */
+export const parseTerminalText = (text) => {
+  const rawLines = text.replace(/\r\n/g, "\n").split("\n");
+  const cols = Math.max(1, ...rawLines.map((line) => line.length));
+  const screen = createScreen(cols, rawLines.length);
+
+  // Markup splits the text into [text, tag, text, tag, ...].
+  const parts = rawLines.join("\r\n").split(MARKUP);
+  parts.forEach((part, index) => {
+    if (index % 2 === 0) screen.write(part);
+    else screen.setTone(part === "/" ? undefined : part);
+  });
+  return screen.getRows().map((cells) => toSpans(cells));
+};
+
@@ -1,9 +1,34 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import publications from "./plugins/publicationsPlugin.js";
+import summaryProvider from "./plugins/summaryProviderPlugin.js";
+import responsiveImages from "./plugins/responsiveImagesPlugin.js";
+import imageReferences from "./plugins/imageReferencesPlugin.js";
+import { getMediaImages, normalizeMedia } from "./src/utils/media.js";
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Parses src/data/publications.bib into `virtual:publications`
+    publications(),
+    // Validates VITE_SUMMARY_* and allows the summary endpoint in the CSP
+    summaryProvider(),
+    // `?responsive` image imports: AVIF/WebP/fallback variants with srcset
+    responsiveImages(),
+    // Fails the build when src/data refers to an image missing from src/assets
+    imageReferences({
+      references: {
+        "src/data/blenderProjects.js": (projects) =>
+          projects.flatMap((project) => [
+            project.mainImage,
+            ...project.galleryImages.flatMap((entry) => getMediaImages(normalizeMedia(entry))),
+          ]),
+        "src/data/publicationDetails.js": (details) =>
+          Object.values(details).flatMap(({ figures = [] }) => figures.map(({ image }) => image)),
+      },
+    }),
+  ],
   base: "/", // Crucial for GitHub Pages deployment
   
   // Performance optimizations